@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./MockProtocolAdapter.sol";
+
+/**
+ * @title MockAaveAdapter
+ * @notice Mock Aave V3 adapter with a settable APY, for local networks and tests
+ */
+contract MockAaveAdapter is MockProtocolAdapter {
+    constructor(address _usdc) MockProtocolAdapter(_usdc, "Mock Aave V3") {}
+
+    function addSupportedAsset(address asset, address receiptToken) external onlyOwner {
+        _addSupportedAsset(asset, receiptToken);
+    }
+}
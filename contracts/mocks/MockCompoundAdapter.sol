@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./MockProtocolAdapter.sol";
+
+/**
+ * @title MockCompoundAdapter
+ * @notice Mock Compound V3 adapter with a settable APY, for local networks and tests
+ * @dev Like Comet, the market is its own receipt token; here the asset stands in for it
+ */
+contract MockCompoundAdapter is MockProtocolAdapter {
+    constructor(address _usdc) MockProtocolAdapter(_usdc, "Mock Compound V3") {}
+
+    function addSupportedAsset(address asset) external onlyOwner {
+        _addSupportedAsset(asset, asset);
+    }
+}
@@ -0,0 +1,13 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title MockL1GasPriceOracle
+ * @notice Stand-in for the OP-stack GasPriceOracle and Scroll L1GasPriceOracle predeploys in tests
+ * @dev getL1Fee answers with the hash of the bytes it was given, so a test can check exactly what was priced
+ */
+contract MockL1GasPriceOracle {
+    function getL1Fee(bytes calldata _data) external pure returns (uint256) {
+        return uint256(keccak256(_data));
+    }
+}
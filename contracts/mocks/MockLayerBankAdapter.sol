@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./MockProtocolAdapter.sol";
+
+/**
+ * @title MockLayerBankAdapter
+ * @notice Mock LayerBank adapter with a settable APY, for local networks and tests
+ */
+contract MockLayerBankAdapter is MockProtocolAdapter {
+    constructor(address _usdc) MockProtocolAdapter(_usdc, "Mock LayerBank") {}
+
+    function addSupportedAsset(address asset, address receiptToken) external onlyOwner {
+        _addSupportedAsset(asset, receiptToken);
+    }
+}
@@ -0,0 +1,148 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title MockProtocolAdapter
+ * @notice Base for the mock lending adapters used on local networks and in tests
+ * @dev Holds supplied assets itself and pays simple interest at an APY the owner sets,
+ * minted as MockUSDC on harvest. The adapter must be a MockUSDC minter for harvest to pay out.
+ */
+
+import "../adapters/interfaces/IProtocolAdapter.sol";
+import "./MockUSDC.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+
+abstract contract MockProtocolAdapter is IProtocolAdapter, Ownable {
+    using SafeERC20 for IERC20;
+
+    MockUSDC public immutable usdc;
+    string private protocolName;
+
+    mapping(address => bool) public supportedAssets;
+    mapping(address => address) public receiptTokens;
+    mapping(address => uint256) public apys; // basis points
+    mapping(address => uint256) public totalPrincipal;
+    mapping(address => uint256) public lastHarvestTimestamp;
+    mapping(address => uint256) public minRewardAmount;
+
+    event AssetAdded(address indexed asset, address indexed receiptToken);
+    event APYUpdated(address indexed asset, uint256 oldApy, uint256 newApy);
+    event Supplied(address indexed asset, uint256 amount);
+    event Withdrawn(address indexed asset, uint256 amount, address indexed to);
+    event Harvested(address indexed asset, uint256 interest);
+
+    constructor(address _usdc, string memory _protocolName) Ownable(msg.sender) {
+        require(_usdc != address(0), "Invalid USDC address");
+        usdc = MockUSDC(_usdc);
+        protocolName = _protocolName;
+    }
+
+    function _addSupportedAsset(address asset, address receiptToken) internal {
+        require(asset != address(0), "Invalid asset");
+        require(receiptToken != address(0), "Invalid receipt token");
+        supportedAssets[asset] = true;
+        receiptTokens[asset] = receiptToken;
+        lastHarvestTimestamp[asset] = block.timestamp;
+        emit AssetAdded(asset, receiptToken);
+    }
+
+    /**
+     * @notice Set the APY the adapter reports and accrues
+     * @param asset The asset to set the APY for
+     * @param apy The APY in basis points (1% = 100)
+     */
+    function setAPY(address asset, uint256 apy) external onlyOwner {
+        require(supportedAssets[asset], "Asset not supported");
+        emit APYUpdated(asset, apys[asset], apy);
+        apys[asset] = apy;
+    }
+
+    function supply(address asset, uint256 amount) external override returns (uint256) {
+        require(supportedAssets[asset], "Asset not supported");
+        require(amount > 0, "Amount must be greater than 0");
+        IERC20(asset).safeTransferFrom(msg.sender, address(this), amount);
+        totalPrincipal[asset] += amount;
+        emit Supplied(asset, amount);
+        return amount;
+    }
+
+    function withdraw(address asset, uint256 amount) external override returns (uint256) {
+        return _withdraw(asset, amount, msg.sender);
+    }
+
+    function withdrawToUser(address asset, uint256 amount, address user) external override returns (uint256) {
+        require(user != address(0), "Invalid user address");
+        return _withdraw(asset, amount, user);
+    }
+
+    function _withdraw(address asset, uint256 amount, address to) internal returns (uint256) {
+        require(supportedAssets[asset], "Asset not supported");
+        uint256 withdrawn = amount < totalPrincipal[asset] ? amount : totalPrincipal[asset];
+        if (withdrawn == 0) {
+            return 0;
+        }
+        totalPrincipal[asset] -= withdrawn;
+        IERC20(asset).safeTransfer(to, withdrawn);
+        emit Withdrawn(asset, withdrawn, to);
+        return withdrawn;
+    }
+
+    // The adapter holds the assets itself, so there is nothing for the vault to approve beyond the receipt token
+    function getApprovalCalldata(address asset, uint256 amount) external view override returns (address target, bytes memory data) {
+        require(supportedAssets[asset], "Asset not supported");
+        return (receiptTokens[asset], abi.encodeWithSelector(IERC20.approve.selector, address(this), amount));
+    }
+
+    function harvest(address asset) external override returns (uint256 harvestedAmount) {
+        require(supportedAssets[asset], "Asset not supported");
+        uint256 interest = getEstimatedInterest(asset);
+        lastHarvestTimestamp[asset] = block.timestamp;
+        if (interest > 0 && interest >= minRewardAmount[asset] && asset == address(usdc)) {
+            usdc.mint(address(this), interest);
+            totalPrincipal[asset] += interest;
+            emit Harvested(asset, interest);
+        }
+        return totalPrincipal[asset];
+    }
+
+    function getAPY(address asset) external view override returns (uint256) {
+        return apys[asset];
+    }
+
+    function getBalance(address asset) external view override returns (uint256) {
+        return totalPrincipal[asset] + getEstimatedInterest(asset);
+    }
+
+    function getTotalPrincipal(address asset) external view override returns (uint256) {
+        return totalPrincipal[asset];
+    }
+
+    function isAssetSupported(address asset) external view override returns (bool) {
+        return supportedAssets[asset];
+    }
+
+    function getProtocolName() external view override returns (string memory) {
+        return protocolName;
+    }
+
+    function setMinRewardAmount(address asset, uint256 amount) external override onlyOwner {
+        require(supportedAssets[asset], "Asset not supported");
+        minRewardAmount[asset] = amount;
+    }
+
+    // Simple interest on the principal since the last harvest
+    function getEstimatedInterest(address asset) public view override returns (uint256) {
+        uint256 elapsed = block.timestamp - lastHarvestTimestamp[asset];
+        return (totalPrincipal[asset] * apys[asset] * elapsed) / (10000 * 365 days);
+    }
+
+    function getTimeSinceLastHarvest(address asset) external view returns (uint256) {
+        return block.timestamp - lastHarvestTimestamp[asset];
+    }
+
+    function getReceiptToken(address asset) external view override returns (address) {
+        return receiptTokens[asset];
+    }
+}
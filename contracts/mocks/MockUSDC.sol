@@ -0,0 +1,40 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title MockUSDC
+ * @notice 6-decimal test token for local networks and tests
+ * @dev The owner and the addresses it adds as minters can mint; the mock adapters mint the interest they pay
+ */
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+
+contract MockUSDC is ERC20, Ownable {
+    mapping(address => bool) public minters;
+
+    event MinterAdded(address indexed minter);
+    event MinterRemoved(address indexed minter);
+
+    constructor() ERC20("Mock USDC", "USDC") Ownable(msg.sender) {}
+
+    function decimals() public pure override returns (uint8) {
+        return 6;
+    }
+
+    function addMinter(address minter) external onlyOwner {
+        require(minter != address(0), "Invalid address");
+        minters[minter] = true;
+        emit MinterAdded(minter);
+    }
+
+    function removeMinter(address minter) external onlyOwner {
+        minters[minter] = false;
+        emit MinterRemoved(minter);
+    }
+
+    function mint(address to, uint256 amount) external {
+        require(msg.sender == owner() || minters[msg.sender], "Caller is not a minter");
+        _mint(to, amount);
+    }
+}
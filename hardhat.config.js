@@ -1,10 +1,28 @@
 require("@nomiclabs/hardhat-ethers");
 require("@nomicfoundation/hardhat-verify");
 require("@openzeppelin/hardhat-upgrades");
-const { createAlchemyWeb3 } = require("@alch/alchemy-web3");
-const { task } = require("hardhat/config");
 const path = require("path");
+const { extendProvider } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
 require("dotenv").config();
+const { parseInvocation, checkNetworkEnv } = require("./scripts/utils/env");
+const { withExternalSigner } = require("./scripts/utils/signers");
+
+require("./tasks/verifyUpgradeable");
+require("./tasks/mockExplorer");
+require("./tasks/deployUpgradeable");
+require("./tasks/upgrade");
+require("./tasks/proposeUpgrade");
+require("./tasks/checkDeployment");
+require("./tasks/account");
+require("./tasks/checkEnv");
+require("./tasks/signers");
+require("./tasks/stubSigner");
+require("./tasks/vaultOps");
+require("./tasks/keeper");
+require("./tasks/metrics");
+require("./tasks/indexer");
+require("./tasks/harvestScheduler");
 
 // API URLs
 const API_URL_SCROLL_SEPOLIA = process.env.API_URL_SCROLL_SEPOLIA;
@@ -13,36 +31,37 @@ const API_URL_BASE_SEPOLIA = process.env.API_URL_BASE_SEPOLIA;
 const API_URL_SCROLL = process.env.API_URL_SCROLL;
 const API_URL_BASE = process.env.API_URL_BASE;
 const API_URL_ANVIL = process.env.API_URL_ANVIL;
+const MOCK_EXPLORER_PORT = process.env.MOCK_EXPLORER_PORT || 8547;
 
-// PKs
+// PKs (testnets and anvil only)
 const PRIVATE_KEY = process.env.PRIVATE_KEY;
 const ANVIL_PRIVATE_KEY = process.env.ANVIL_PRIVATE_KEY;
 
-// Web3 providers
-const web3ScrollSepolia = createAlchemyWeb3(API_URL_SCROLL_SEPOLIA);
-const web3Sepolia = createAlchemyWeb3(API_URL_SEPOLIA);
-const web3BaseSepolia = createAlchemyWeb3(API_URL_BASE_SEPOLIA);
-const web3Base = createAlchemyWeb3(API_URL_BASE);
-const web3Scroll = createAlchemyWeb3(API_URL_SCROLL);
+// Mainnets sign with an encrypted keystore, or with a remote signer when SIGNER_URL is set
+const SIGNER_URL = process.env.SIGNER_URL;
+const mainnetSigner = SIGNER_URL
+  ? { type: "remote", url: SIGNER_URL }
+  : { type: "keystore", path: process.env.KEYSTORE_PATH || path.join(__dirname, "keystores/deployer.json") };
 
-const networkIDArr = ["Scroll Sepolia:", "Sepolia:", "Base Sepolia:", "Base:", "Scroll:"];
-const providerArr = [web3ScrollSepolia, web3Sepolia, web3BaseSepolia, web3Base, web3Scroll];
+// Unset variables leave a network without a URL or accounts rather than breaking config loading,
+// so compile and local tests run with an empty .env; only connecting to that network fails
+const rpcUrl = (url) => url || "";
+const accounts = (privateKey) => (privateKey ? [`0x${privateKey.trim().replace(/^0x/, "")}`] : []);
 
-task("account", "Returns nonce and balance for specified address on all networks")
-  .addParam("address", "The address to query")
-  .setAction(async ({ address }) => {
-    const resultArr = [["| NETWORK | NONCE | BALANCE |"]];
-    for (let i = 0; i < providerArr.length; i++) {
-      const nonce = await providerArr[i].eth.getTransactionCount(address, "latest");
-      const balance = await providerArr[i].eth.getBalance(address);
-      resultArr.push([
-        networkIDArr[i],
-        nonce,
-        `${parseFloat(providerArr[i].utils.fromWei(balance, "ether")).toFixed(2)} ETH`
-      ]);
-    }
-    console.log(resultArr);
-  });
+// ...but a command that does use a network must have everything it needs, named up front
+const invocation = parseInvocation();
+const envProblems = checkNetworkEnv(invocation.network, invocation);
+if (envProblems.length > 0) {
+  throw new HardhatPluginError(
+    "env",
+    `"${invocation.task}" on ${invocation.network} needs environment variables that are missing or malformed:\n` +
+      envProblems.map((problem) => `  - ${problem}`).join("\n") +
+      "\nSee .env.example, or run npx hardhat check-env"
+  );
+}
+
+// Networks with a `signer` sign through it instead of `accounts`
+extendProvider((provider, config, network) => withExternalSigner(provider, config.networks[network].signer));
 
 module.exports = {
   solidity: {
@@ -57,48 +76,59 @@ module.exports = {
   },
   networks: {
     hardhat: {},
+    // `npx hardhat node` + `npx hardhat stub-signer` + SIGNER_URL exercises the remote signer locally
+    localhost: {
+      url: "http://127.0.0.1:8545",
+      ...(SIGNER_URL ? { signer: { type: "remote", url: SIGNER_URL } } : {})
+    },
     scrollSepolia: {
-      url: API_URL_SCROLL_SEPOLIA,
-      accounts: [`0x${PRIVATE_KEY}`],
+      url: rpcUrl(API_URL_SCROLL_SEPOLIA),
+      accounts: accounts(PRIVATE_KEY),
       chainId: 534351,
       ensAddress: null
     },
     sepolia: {
-      url: API_URL_SEPOLIA,
-      accounts: [`0x${PRIVATE_KEY}`],
+      url: rpcUrl(API_URL_SEPOLIA),
+      accounts: accounts(PRIVATE_KEY),
       chainId: 11155111
     },
     baseSepolia: {
-      url: API_URL_BASE_SEPOLIA,
-      accounts: [`0x${PRIVATE_KEY}`],
+      url: rpcUrl(API_URL_BASE_SEPOLIA),
+      accounts: accounts(PRIVATE_KEY),
       chainId: 84532
     },
     base: {
-      url: API_URL_BASE,
-      accounts: [`0x${PRIVATE_KEY}`],
+      url: rpcUrl(API_URL_BASE),
+      signer: mainnetSigner,
       chainId: 8453
     },
     scroll: {
-      url: API_URL_SCROLL,
-      accounts: [`0x${PRIVATE_KEY}`],
+      url: rpcUrl(API_URL_SCROLL),
+      signer: mainnetSigner,
       chainId: 534352
     },
     anvilForkedScroll: {
-      url: API_URL_ANVIL,
-      accounts: [`0x${ANVIL_PRIVATE_KEY}`],
+      url: rpcUrl(API_URL_ANVIL),
+      accounts: accounts(ANVIL_PRIVATE_KEY),
       chainId: 534352,
       forking: {
-        url: API_URL_SCROLL,
+        url: rpcUrl(API_URL_SCROLL),
       }
     }
   },
   etherscan: {
+    // hardhat-upgrades loads the old hardhat-etherscan plugin, whose config drops hardhat-verify's default;
+    // without it verify:verify (scripts/erc4626/erc4626Verify.js) silently does nothing
+    enabled: true,
     apiKey: {
       scrollSepolia: process.env.ETHERSCAN_API_KEY_SCROLL_SEPOLIA,
       sepolia: process.env.ETHERSCAN_API_KEY_SEPOLIA,
       baseSepolia: process.env.ETHERSCAN_API_KEY_BASE_SEPOLIA,
       base: process.env.ETHERSCAN_API_KEY_BASE,
-      scroll: process.env.ETHERSCAN_API_KEY_SCROLL
+      scroll: process.env.ETHERSCAN_API_KEY_SCROLL,
+      // Local mock explorer (npx hardhat mock-explorer) accepts any key
+      hardhat: "mock",
+      localhost: "mock"
     },
     customChains: [
       {
@@ -149,6 +179,22 @@ module.exports = {
           apiURL: "https://api.scrollscan.com/api",
           browserURL: "https://scrollscan.com"
         }
+      },
+      {
+        network: "hardhat",
+        chainId: 31337,
+        urls: {
+          apiURL: `http://127.0.0.1:${MOCK_EXPLORER_PORT}/api`,
+          browserURL: `http://127.0.0.1:${MOCK_EXPLORER_PORT}`
+        }
+      },
+      {
+        network: "localhost",
+        chainId: 31337,
+        urls: {
+          apiURL: `http://127.0.0.1:${MOCK_EXPLORER_PORT}/api`,
+          browserURL: `http://127.0.0.1:${MOCK_EXPLORER_PORT}`
+        }
       }
     ]
   },
@@ -0,0 +1,197 @@
+// scripts/mock/mockExplorer.js
+const http = require("http");
+const crypto = require("crypto");
+
+// Local stand-in for the Etherscan-compatible `module=contract` API used by the verifier.
+// Responses follow the Etherscan wording so the status classification matches live explorers.
+const DEFAULT_OPTIONS = {
+  port: 0,
+  apiKey: null, // when set, requests with another key are rejected
+  pendingPolls: 1, // "Pending in queue" answers before a verdict
+  outcome: "pass", // "pass" or "fail" for source verification
+  proxyOutcome: "pass", // "pass" or "fail" for proxy linking
+  rateLimitEvery: 0, // answer every Nth request with a rate-limit error (0 = never)
+  responses: {} // action => (params, state) => response body, overriding the defaults (undefined keeps the default, throwing answers HTTP 500)
+};
+
+const ok = (result) => ({ status: "1", message: "OK", result });
+const notOk = (result) => ({ status: "0", message: "NOTOK", result });
+
+function unverifiedSource() {
+  return {
+    SourceCode: "",
+    ABI: "Contract source code not verified",
+    ContractName: "",
+    CompilerVersion: "",
+    OptimizationUsed: "",
+    Runs: "",
+    EVMVersion: "",
+    LicenseType: "",
+    Proxy: "0",
+    Implementation: ""
+  };
+}
+
+function createState() {
+  return {
+    requests: [],
+    contracts: {}, // lowercased address => getsourcecode entry
+    proxies: {}, // lowercased proxy address => implementation
+    submissions: {} // guid => { kind, address, polls, params }
+  };
+}
+
+function newGuid() {
+  return crypto.randomBytes(25).toString("hex");
+}
+
+function handleAction(action, params, state, options) {
+  const override = options.responses[action];
+  if (override) {
+    const response = typeof override === "function" ? override(params, state) : override;
+    if (response !== undefined) {
+      return response;
+    }
+  }
+
+  switch (action) {
+    case "getsourcecode": {
+      const entry = state.contracts[String(params.address).toLowerCase()];
+      return ok([entry || unverifiedSource()]);
+    }
+
+    case "verifysourcecode": {
+      const address = String(params.contractaddress || "").toLowerCase();
+      if (!address) {
+        return notOk("Missing contractaddress");
+      }
+      if (state.contracts[address]) {
+        return notOk("Contract source code already verified");
+      }
+      const guid = newGuid();
+      state.submissions[guid] = { kind: "source", address, polls: 0, params };
+      return ok(guid);
+    }
+
+    case "verifyproxycontract": {
+      const address = String(params.address || "").toLowerCase();
+      if (!address) {
+        return notOk("Missing address");
+      }
+      const guid = newGuid();
+      state.submissions[guid] = { kind: "proxy", address, polls: 0, params };
+      return ok(guid);
+    }
+
+    case "checkverifystatus":
+    case "checkproxyverification": {
+      const submission = state.submissions[params.guid];
+      const expectedKind = action === "checkverifystatus" ? "source" : "proxy";
+      if (!submission || submission.kind !== expectedKind) {
+        return notOk("Unknown UID");
+      }
+      submission.polls++;
+      if (submission.polls <= options.pendingPolls) {
+        return notOk("Pending in queue");
+      }
+      return expectedKind === "source"
+        ? settleSource(submission, state, options)
+        : settleProxy(submission, state, options);
+    }
+
+    default:
+      return notOk(`Error! Invalid action "${action}"`);
+  }
+}
+
+function settleSource(submission, state, options) {
+  if (options.outcome !== "pass") {
+    return notOk("Fail - Unable to verify");
+  }
+  const { params } = submission;
+  state.contracts[submission.address] = {
+    ...unverifiedSource(),
+    SourceCode: params.sourceCode,
+    ABI: "[]",
+    ContractName: params.contractname,
+    CompilerVersion: params.compilerversion,
+    OptimizationUsed: params.optimizationUsed || "",
+    Runs: params.runs || "",
+    EVMVersion: params.evmversion || "Default",
+    LicenseType: params.licenseType || ""
+  };
+  return ok("Pass - Verified");
+}
+
+function settleProxy(submission, state, options) {
+  const implementation = submission.params.expectedimplementation || "";
+  if (options.proxyOutcome !== "pass") {
+    return notOk(`The implementation address ${implementation} of the proxy contract could not be verified`);
+  }
+  state.proxies[submission.address] = implementation;
+  const entry = state.contracts[submission.address] || unverifiedSource();
+  state.contracts[submission.address] = { ...entry, Proxy: "1", Implementation: implementation };
+  return ok(
+    `The proxy's (${submission.address}) implementation contract is found at ${implementation} and is successfully updated.`
+  );
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => { body += chunk; });
+    req.on("end", () => resolve(body));
+    req.on("error", reject);
+  });
+}
+
+// Start the mock explorer. Resolves to { apiURL, browserURL, state, stop() }.
+async function startMockExplorer(userOptions = {}) {
+  const options = { ...DEFAULT_OPTIONS, ...userOptions };
+  const state = createState();
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://127.0.0.1");
+    const params = Object.fromEntries(url.searchParams);
+    if (req.method === "POST") {
+      Object.assign(params, Object.fromEntries(new URLSearchParams(await readBody(req))));
+    }
+    state.requests.push({ method: req.method, path: url.pathname, params });
+
+    let status = 200;
+    let body;
+    if (url.pathname !== "/api" || params.module !== "contract") {
+      body = notOk("Error! Missing Or invalid Module name");
+    } else if (options.rateLimitEvery > 0 && state.requests.length % options.rateLimitEvery === 0) {
+      body = notOk("Max rate limit reached");
+    } else if (options.apiKey && params.apikey !== options.apiKey) {
+      body = notOk("Missing/Invalid API Key");
+    } else {
+      try {
+        body = handleAction(params.action, params, state, options);
+      } catch (error) {
+        // A response override that throws stands in for an explorer outage
+        status = 500;
+        body = { error: error.message };
+      }
+    }
+
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  });
+
+  await new Promise((resolve) => server.listen(options.port, "127.0.0.1", resolve));
+  const { port } = server.address();
+
+  return {
+    port,
+    apiURL: `http://127.0.0.1:${port}/api`,
+    browserURL: `http://127.0.0.1:${port}`,
+    state,
+    stop: () => new Promise((resolve) => server.close(resolve))
+  };
+}
+
+module.exports = {
+  startMockExplorer
+};
@@ -0,0 +1,104 @@
+// scripts/mock/stubSigner.js
+const http = require("http");
+const { ethers } = require("ethers");
+
+// Local stand-in for a JSON-RPC signing daemon, for exercising the remote signer against a
+// hardhat node or a fork. Holds one key and signs whatever it is asked to; never use it with real funds.
+const DEFAULT_OPTIONS = {
+  port: 0,
+  // Hardhat's first default account, funded on hardhat and localhost
+  privateKey: "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80",
+  refuse: [] // methods answered with an error, to exercise failure paths
+};
+
+function parseTransaction(tx) {
+  const quantity = (value) => (value === undefined ? undefined : ethers.BigNumber.from(value));
+  const type = tx.type === undefined ? (tx.maxFeePerGas ? 2 : 0) : Number(tx.type);
+  const request = {
+    type,
+    to: tx.to,
+    data: tx.data || "0x",
+    value: quantity(tx.value),
+    gasLimit: quantity(tx.gas),
+    nonce: quantity(tx.nonce).toNumber(),
+    chainId: quantity(tx.chainId).toNumber()
+  };
+  return type === 2
+    ? { ...request, maxFeePerGas: quantity(tx.maxFeePerGas), maxPriorityFeePerGas: quantity(tx.maxPriorityFeePerGas) }
+    : { ...request, gasPrice: quantity(tx.gasPrice) };
+}
+
+function createHandlers(wallet) {
+  const own = (account) => {
+    if (account.toLowerCase() !== wallet.address.toLowerCase()) {
+      throw new Error(`unknown account ${account}`);
+    }
+  };
+  return {
+    eth_accounts: () => [wallet.address],
+    eth_signTransaction: async ([tx]) => {
+      own(tx.from);
+      return wallet.signTransaction(parseTransaction(tx));
+    },
+    eth_sign: async ([account, message]) => {
+      own(account);
+      return wallet.signMessage(ethers.utils.arrayify(message));
+    },
+    personal_sign: async ([message, account]) => {
+      own(account);
+      return wallet.signMessage(ethers.utils.arrayify(message));
+    },
+    eth_signTypedData_v4: async ([account, typedData]) => {
+      own(account);
+      const { domain, types, message } = typeof typedData === "string" ? JSON.parse(typedData) : typedData;
+      const { EIP712Domain, ...messageTypes } = types;
+      return wallet._signTypedData(domain, messageTypes, message);
+    }
+  };
+}
+
+// Start the signer; resolves to { url, address, state, stop() } where state.requests logs every call
+async function startStubSigner(options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const wallet = new ethers.Wallet(settings.privateKey);
+  const handlers = createHandlers(wallet);
+  const state = { requests: [] };
+
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", async () => {
+      let request = {};
+      let response;
+      try {
+        request = JSON.parse(body);
+        state.requests.push({ method: request.method, params: request.params });
+        const handler = handlers[request.method];
+        if (!handler || settings.refuse.includes(request.method)) {
+          throw new Error(handler ? `${request.method} refused` : `method ${request.method} not supported`);
+        }
+        response = { jsonrpc: "2.0", id: request.id, result: await handler(request.params || []) };
+      } catch (error) {
+        response = { jsonrpc: "2.0", id: request.id === undefined ? null : request.id, error: { code: -32000, message: error.message } };
+      }
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(response));
+    });
+  });
+
+  await new Promise((resolve) => server.listen(settings.port, "127.0.0.1", resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    address: wallet.address,
+    state,
+    stop: () => new Promise((resolve) => server.close(resolve))
+  };
+}
+
+module.exports = {
+  startStubSigner
+};
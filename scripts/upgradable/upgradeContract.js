@@ -1,19 +1,15 @@
 // scripts/upgradeVirtualVault.js
-const { ethers, upgrades } = require("hardhat");
+const hre = require("hardhat");
 
+// Upgrade the recorded VirtualVault proxy in place; the upgrade task validates the storage
+// layout, updates the deployment record and verifies the new implementation.
+// For other contracts run: npx hardhat upgrade --network <network> --contract <Name>
 async function main() {
-  // Get the proxy address from your deployment
-  const VIRTUAL_VAULT_PROXY_ADDRESS = "0x6a8897284DF2F50Fe797A3D6665995D50BDeE69A";
-  
-  console.log("Upgrading Virtual Vault...");
-
-  // Get the contract factory for the V2 implementation
-  const UpgradedVirtualVault = await ethers.getContractFactory("VirtualVault");
-  
-  // Upgrade the proxy to point to the new implementation
-  await upgrades.upgradeProxy(VIRTUAL_VAULT_PROXY_ADDRESS, UpgradedVirtualVault);
-  
-  console.log("VirtualVault upgraded successfully");
+  await hre.run("upgrade", {
+    contract: "VirtualVault",
+    proxy: "VirtualVault",
+    unsafeAllow: "constructor" // deployed with a constructor for payable functionality
+  });
 }
 
 main()
@@ -21,4 +17,4 @@ main()
   .catch(error => {
     console.error(error);
     process.exit(1);
-  });
\ No newline at end of file
+  });
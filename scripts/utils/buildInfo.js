@@ -0,0 +1,126 @@
+// scripts/utils/buildInfo.js
+
+// Etherscan's licenseType codes, keyed by SPDX identifier
+const LICENSE_TYPES = {
+  "UNLICENSED": 1,
+  "Unlicense": 2,
+  "MIT": 3,
+  "GPL-2.0": 4,
+  "GPL-3.0": 5,
+  "LGPL-2.1": 6,
+  "LGPL-3.0": 7,
+  "BSD-2-Clause": 8,
+  "BSD-3-Clause": 9,
+  "MPL-2.0": 10,
+  "OSL-3.0": 11,
+  "Apache-2.0": 12,
+  "AGPL-3.0": 13,
+  "BUSL-1.1": 14
+};
+
+async function readBuildInfo(hre, sourceName, contractName) {
+  const fullyQualifiedName = `${sourceName}:${contractName}`;
+  const buildInfo = await hre.artifacts.getBuildInfo(fullyQualifiedName);
+  if (!buildInfo) {
+    throw new Error(`No build-info found for ${fullyQualifiedName}; run \`npx hardhat compile\` first`);
+  }
+  return buildInfo;
+}
+
+// Map the source's SPDX identifier to Etherscan's licenseType (1 = no license)
+function licenseTypeFromSource(content) {
+  const match = /SPDX-License-Identifier:\s*([^\s*]+)/.exec(content || "");
+  if (!match) {
+    return 1;
+  }
+  const identifier = match[1].replace(/-(only|or-later)$/, "");
+  return LICENSE_TYPES[identifier] || 1;
+}
+
+// Compiler version and settings the artifact was actually built with
+async function resolveCompilerSettings(hre, sourceName, contractName) {
+  const buildInfo = await readBuildInfo(hre, sourceName, contractName);
+  const { optimizer = {}, viaIR = false, evmVersion } = buildInfo.input.settings;
+  const source = buildInfo.input.sources[sourceName];
+
+  return {
+    sourceName,
+    version: buildInfo.solcLongVersion,
+    compilerVersion: `v${buildInfo.solcLongVersion}`,
+    optimizer: { enabled: Boolean(optimizer.enabled), runs: optimizer.runs === undefined ? 200 : optimizer.runs },
+    viaIR: Boolean(viaIR),
+    evmVersion: evmVersion || "default",
+    licenseType: licenseTypeFromSource(source && source.content)
+  };
+}
+
+// The exact standard-JSON input of the compilation job that produced the artifact
+async function buildStandardJsonInput(hre, sourceName, contractName) {
+  const buildInfo = await readBuildInfo(hre, sourceName, contractName);
+  return { input: buildInfo.input, solcLongVersion: buildInfo.solcLongVersion };
+}
+
+// Split runtime bytecode into executable code and the trailing CBOR metadata
+function splitMetadata(bytecode) {
+  const code = bytecode.replace(/^0x/, "").toLowerCase();
+  if (code.length < 4) {
+    return { executable: code, metadata: "" };
+  }
+  const metadataLength = parseInt(code.slice(-4), 16) * 2 + 4;
+  if (metadataLength > code.length) {
+    return { executable: code, metadata: "" };
+  }
+  return { executable: code.slice(0, -metadataLength), metadata: code.slice(-metadataLength) };
+}
+
+// Zero out immutable slots so on-chain values don't count as differences
+function maskImmutables(code, immutableReferences = {}) {
+  let masked = code;
+  for (const references of Object.values(immutableReferences)) {
+    for (const { start, length } of references) {
+      masked = masked.slice(0, start * 2) + "0".repeat(length * 2) + masked.slice((start + length) * 2);
+    }
+  }
+  return masked;
+}
+
+function describeSettings(settings) {
+  const optimizer = settings.optimizer.enabled ? `optimizer on (${settings.optimizer.runs} runs)` : "optimizer off";
+  return `${settings.compilerVersion}, ${optimizer}, viaIR ${settings.viaIR ? "on" : "off"}, evmVersion ${settings.evmVersion}`;
+}
+
+// Fail loudly when the deployed code was not produced by the local artifact's settings.
+// Returns false when only the metadata hash differs (source comments or paths changed).
+async function assertBytecodeMatches(hre, { sourceName, contractName, address }) {
+  const buildInfo = await readBuildInfo(hre, sourceName, contractName);
+  const output = buildInfo.output.contracts[sourceName][contractName];
+  const deployedBytecode = output.evm.deployedBytecode;
+
+  const onChainCode = await hre.ethers.provider.getCode(address);
+  if (onChainCode === "0x") {
+    throw new Error(`No contract code at ${address} on ${hre.network.name}`);
+  }
+
+  const immutableReferences = deployedBytecode.immutableReferences;
+  const local = splitMetadata(maskImmutables(deployedBytecode.object, immutableReferences));
+  const onChain = splitMetadata(maskImmutables(onChainCode, immutableReferences));
+
+  if (local.executable !== onChain.executable) {
+    const settings = await resolveCompilerSettings(hre, sourceName, contractName);
+    throw new Error(
+      `On-chain bytecode at ${address} does not match ${contractName} compiled with ${describeSettings(settings)}. ` +
+      "The deployment was built from different sources or compiler settings; restore them in hardhat.config.js and recompile before verifying."
+    );
+  }
+
+  return local.metadata === onChain.metadata;
+}
+
+module.exports = {
+  readBuildInfo,
+  resolveCompilerSettings,
+  buildStandardJsonInput,
+  assertBytecodeMatches,
+  describeSettings,
+  licenseTypeFromSource
+};
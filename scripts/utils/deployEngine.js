@@ -0,0 +1,131 @@
+// scripts/utils/deployEngine.js
+const { readDeployments, getDeployment, recordDeployment } = require("./deployments");
+const { sendContractTx, withFeeCaps } = require("./txSender");
+const { readUpgradesManifest } = require("./proxyContracts");
+
+const sameAddress = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+// Replace { deployed: name } and { signer: "deployer" } placeholders with addresses
+function resolveArgs(hre, args, { deployer }) {
+  return args.map((arg) => {
+    if (arg && typeof arg === "object" && arg.deployed) {
+      return getDeployment(hre, arg.deployed).address;
+    }
+    if (arg && typeof arg === "object" && arg.signer === "deployer") {
+      return deployer.address;
+    }
+    return arg;
+  });
+}
+
+async function attach(hre, name, signer) {
+  const entry = getDeployment(hre, name);
+  return hre.ethers.getContractAt(entry.contractName, entry.address, signer);
+}
+
+// On-chain checks telling whether a call's effect is already in place, keyed by method
+const CALL_CHECKS = {
+  registerProtocol: async (hre, target, [id]) => (await target.protocolNames(id)).length > 0,
+  addSupportedAsset: async (hre, target, [asset]) => target.isAssetSupported(asset),
+  registerAdapter: async (hre, target, [id, asset, adapter]) =>
+    (await target.hasAdapter(id, asset)) && sameAddress(await target.adapters(id, asset), adapter),
+  setAuthorizedCaller: async (hre, target, [caller]) => sameAddress(await target.authorizedCaller(), caller),
+  addActiveProtocol: async (hre, target, [id]) => {
+    const registry = await attach(hre, "ProtocolRegistry");
+    return (await registry.getActiveProtocolIds()).some((activeId) => activeId.eq(id));
+  },
+  setVirtualVault: async (hre, target, [virtualVault]) => sameAddress(await target.virtualVault(), virtualVault)
+};
+
+// A proxy counts as deployed when it is recorded (during this run, for fresh deployments) and has code
+async function isDeployed(hre, name, { fresh = false, startedAt = null } = {}) {
+  const entry = readDeployments(hre.network.name).contracts[name];
+  if (!entry) {
+    return false;
+  }
+  if (fresh && !(entry.deployedAt && entry.deployedAt >= startedAt)) {
+    return false;
+  }
+  return (await hre.ethers.provider.getCode(entry.address)) !== "0x";
+}
+
+async function isActionDone(hre, action, { deployer, fresh, startedAt }) {
+  if (action.type === "deploy") {
+    return isDeployed(hre, action.name, { fresh, startedAt });
+  }
+
+  const check = CALL_CHECKS[action.method];
+  if (!check) {
+    return false;
+  }
+  const target = await attach(hre, action.target);
+  return check(hre, target, resolveArgs(hre, action.args, { deployer }));
+}
+
+// Creation txs of the implementation and ProxyAdmin behind a proxy, as recorded by the upgrades plugin
+async function proxySetupTxs(hre, name, proxyAddress) {
+  const manifestData = await readUpgradesManifest(hre);
+  const implementation = (await hre.upgrades.erc1967.getImplementationAddress(proxyAddress)).toLowerCase();
+  const admin = (await hre.upgrades.erc1967.getAdminAddress(proxyAddress)).toLowerCase();
+
+  const txs = [];
+  const impl = Object.values(manifestData.impls).find((entry) => entry.address.toLowerCase() === implementation);
+  if (impl && impl.txHash) {
+    txs.push({ description: `Deploy ${name} Implementation`, txHash: impl.txHash });
+  }
+  if (manifestData.admin && manifestData.admin.address.toLowerCase() === admin && manifestData.admin.txHash) {
+    txs.push({ description: "Deploy ProxyAdmin", txHash: manifestData.admin.txHash });
+  }
+  return txs;
+}
+
+// Send the action's transaction. Deployments are recorded in deployments/<network>.json.
+// Resolves to { tx, contract, relatedTxs } so callers can track gas from tx; for proxies,
+// relatedTxs lists the implementation and ProxyAdmin deployments the plugin sent first.
+// The plugin sends those through the factory's signer, which applies gasSettings to them.
+async function executeAction(hre, action, { deployer, gasSettings }) {
+  const args = resolveArgs(hre, action.args, { deployer });
+
+  if (action.type === "deploy") {
+    const Factory = await hre.ethers.getContractFactory(action.contract, withFeeCaps(deployer, gasSettings));
+    const contract = await hre.upgrades.deployProxy(Factory, args, {
+      kind: "transparent",
+      initializer: "initialize",
+      ...(action.unsafeAllow.length > 0 ? { unsafeAllow: action.unsafeAllow } : {})
+    });
+    await recordDeployment(hre, action.name, contract, {
+      contractName: action.contract,
+      args,
+      proxyKind: "transparent"
+    });
+    return { tx: contract.deployTransaction, contract, relatedTxs: await proxySetupTxs(hre, action.name, contract.address) };
+  }
+
+  // Sent as the deployer like the deployments, which is not the default signer in a dry run
+  const target = await attach(hre, action.target, deployer);
+  const tx = await sendContractTx(target, action.method, args, gasSettings);
+  return { tx, contract: target, relatedTxs: [] };
+}
+
+// One-line rendering of an action, for logs and plans
+function describeAction(hre, action, { deployer }) {
+  const args = action.args.map((arg) => {
+    if (arg && typeof arg === "object") {
+      const recorded = arg.deployed && readDeployments(hre.network.name).contracts[arg.deployed];
+      if (arg.deployed) {
+        return recorded ? `${arg.deployed}(${recorded.address})` : `<${arg.deployed}>`;
+      }
+      return `deployer(${deployer.address})`;
+    }
+    return JSON.stringify(arg);
+  });
+  const target = action.type === "deploy" ? `${action.contract}.initialize` : `${action.target}.${action.method}`;
+  return `${target}(${args.join(", ")})`;
+}
+
+module.exports = {
+  resolveArgs,
+  isActionDone,
+  executeAction,
+  describeAction
+};
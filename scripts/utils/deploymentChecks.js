@@ -0,0 +1,183 @@
+// scripts/utils/deploymentChecks.js
+const { ethers } = require("ethers");
+
+const OWNABLE_ABI = ["function owner() view returns (address)"];
+
+const sameAddress = (a, b) => typeof a === "string" && typeof b === "string" && a.toLowerCase() === b.toLowerCase();
+const sameIds = (a, b) => a.length === b.length && a.every((id) => b.includes(id));
+const idList = (ids) => `[${ids.join(", ")}]`;
+
+// Collects { group, label, status: "pass" | "fail", detail } rows.
+// A check whose read throws (missing contract, revert) fails with the error instead of aborting the run.
+function createReport() {
+  const checks = [];
+  const add = (group, label, status, detail) => checks.push({ group, label, status, detail });
+
+  return {
+    checks,
+    add,
+    async expect(group, label, read, expected, { compare = sameAddress, format = String } = {}) {
+      try {
+        const actual = await read();
+        const ok = compare(actual, expected);
+        add(group, label, ok ? "pass" : "fail", ok ? format(actual) : `expected ${format(expected)}, got ${format(actual)}`);
+        return actual;
+      } catch (error) {
+        add(group, label, "fail", error.reason || error.message);
+        return null;
+      }
+    },
+    // A value that is only reported, failing only if it cannot be read
+    async read(group, label, read) {
+      return this.expect(group, label, read, null, { compare: () => true });
+    },
+    failures: () => checks.filter((check) => check.status === "fail")
+  };
+}
+
+// Check the deployed registry/adapter/vault graph against the manifest it was deployed from.
+// `owner` is the account expected to own every contract and ProxyAdmin; without it they only have to agree.
+async function checkDeployment(hre, manifest, record, { owner } = {}) {
+  const report = createReport();
+  const provider = hre.ethers.provider;
+  const entries = record.contracts;
+  const protocols = manifest.protocols.map((protocol) => ({
+    ...protocol,
+    deploymentName: protocol.deploymentName || protocol.adapter
+  }));
+
+  // Contracts: recorded, have code, proxies still point at the recorded implementation
+  const names = ["ProtocolRegistry", ...protocols.map((p) => p.deploymentName), "CombinedVault", "VirtualVault"];
+  const contracts = {};
+  for (const name of names) {
+    const entry = entries[name];
+    if (!entry) {
+      report.add("contracts", name, "fail", `not in the deployment record for ${hre.network.name}`);
+      continue;
+    }
+    const code = await provider.getCode(entry.address);
+    if (code === "0x") {
+      report.add("contracts", name, "fail", `no code at ${entry.address}`);
+      continue;
+    }
+    report.add("contracts", name, "pass", entry.address);
+    contracts[name] = await hre.ethers.getContractAt(entry.contractName, entry.address);
+
+    if (entry.proxyKind && entry.implementation) {
+      await report.expect("contracts", `${name} implementation`,
+        () => hre.upgrades.erc1967.getImplementationAddress(entry.address), entry.implementation);
+    }
+  }
+
+  const address = (name) => (contracts[name] ? contracts[name].address : null);
+  const registry = contracts.ProtocolRegistry;
+  const combinedVault = contracts.CombinedVault;
+  const virtualVault = contracts.VirtualVault;
+
+  if (registry) {
+    const ids = (values) => values.map((id) => id.toNumber());
+    await report.expect("registry", "protocol ids", async () => ids(await registry.getAllProtocolIds()),
+      protocols.map((p) => p.id), { compare: (actual, expected) => expected.every((id) => actual.includes(id)), format: idList });
+    await report.expect("registry", "active protocol ids", async () => ids(await registry.getActiveProtocolIds()),
+      manifest.activeProtocols, { compare: sameIds, format: idList });
+    await report.expect("registry", "authorized caller", () => registry.authorizedCaller(), address("CombinedVault"));
+
+    for (const protocol of protocols) {
+      await report.expect("registry", `protocol ${protocol.id} name`, () => registry.getProtocolName(protocol.id),
+        protocol.name, { compare: (a, b) => a === b });
+      for (const { asset } of protocol.assets) {
+        await report.expect("registry", `adapter for protocol ${protocol.id} / ${asset}`,
+          () => registry.getAdapter(protocol.id, asset), address(protocol.deploymentName));
+      }
+    }
+  }
+
+  for (const protocol of protocols) {
+    const adapter = contracts[protocol.deploymentName];
+    if (!adapter) {
+      continue;
+    }
+    const group = protocol.deploymentName;
+    for (const { asset, receiptToken } of protocol.assets) {
+      await report.expect(group, `supports ${asset}`, () => adapter.isAssetSupported(asset), true,
+        { compare: (a, b) => a === b });
+      await report.expect(group, `receipt token for ${asset}`, () => adapter.getReceiptToken(asset), receiptToken);
+    }
+    await report.expect(group, "authorized caller", () => adapter.authorizedCaller(), address("CombinedVault"));
+  }
+
+  if (combinedVault) {
+    const recorded = entries.CombinedVault;
+    await report.expect("CombinedVault", "asset", () => combinedVault.asset(), manifest.asset);
+    await report.expect("CombinedVault", "registry", () => combinedVault.registry(), address("ProtocolRegistry"));
+    await report.expect("CombinedVault", "virtual vault", () => combinedVault.virtualVault(), address("VirtualVault"));
+    await report.expect("CombinedVault", "performance fee (bps)", async () => (await combinedVault.performanceFeeBps()).toNumber(),
+      manifest.performanceFeeBps, { compare: (a, b) => a === b });
+
+    const treasury = manifest.treasury === "deployer" ? recorded.deployer : manifest.treasury;
+    if (treasury) {
+      await report.expect("CombinedVault", "treasury", () => combinedVault.treasury(), treasury);
+    } else {
+      await report.read("CombinedVault", "treasury (deployer not recorded, not compared)", () => combinedVault.treasury());
+    }
+  }
+
+  if (virtualVault) {
+    await report.expect("VirtualVault", "asset", () => virtualVault.asset(), manifest.asset);
+    await report.expect("VirtualVault", "combined vault", () => virtualVault.combinedVault(), address("CombinedVault"));
+    await report.expect("VirtualVault", "authorized caller", () => virtualVault.authorizedCaller(), address("CombinedVault"));
+  }
+
+  await checkOwnership(hre, report, names.filter((name) => contracts[name]).map((name) => [name, entries[name]]), owner);
+  return report;
+}
+
+// Every contract and every ProxyAdmin should be owned by one account: the deployer or a multisig
+async function checkOwnership(hre, report, deployed, expectedOwner) {
+  const provider = hre.ethers.provider;
+  const ownerOf = (address) => new ethers.Contract(address, OWNABLE_ABI, provider).owner();
+  const checkOwner = (label, address) => (expectedOwner
+    ? report.expect("ownership", label, () => ownerOf(address), expectedOwner)
+    : report.read("ownership", label, () => ownerOf(address)));
+
+  const owners = [];
+  const admins = new Set();
+  for (const [name, entry] of deployed) {
+    owners.push(await checkOwner(`${name} owner`, entry.address));
+    if (entry.proxyKind) {
+      admins.add(await report.read("ownership", `${name} proxy admin`, () => hre.upgrades.erc1967.getAdminAddress(entry.address)));
+    }
+  }
+  for (const admin of admins) {
+    if (admin) {
+      owners.push(await checkOwner(`ProxyAdmin ${admin} owner`, admin));
+    }
+  }
+
+  const distinct = [...new Set(owners.filter(Boolean).map((owner) => ethers.utils.getAddress(owner)))];
+  if (!expectedOwner && distinct.length > 1) {
+    report.add("ownership", "single owner", "fail", `owned by ${distinct.join(", ")}`);
+  } else if (!expectedOwner && distinct.length === 1) {
+    report.add("ownership", "single owner", "pass", distinct[0]);
+  }
+}
+
+const MARKERS = { pass: "✅", fail: "❌" };
+
+function formatReport(report) {
+  const lines = [];
+  let group = null;
+  for (const check of report.checks) {
+    if (check.group !== group) {
+      group = check.group;
+      lines.push(`\n${group}`);
+    }
+    lines.push(`  ${MARKERS[check.status]} ${check.label}: ${check.detail}`);
+  }
+  return lines.join("\n");
+}
+
+module.exports = {
+  checkDeployment,
+  formatReport
+};
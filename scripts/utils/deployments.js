@@ -0,0 +1,133 @@
+// scripts/utils/deployments.js
+const fs = require("fs");
+const path = require("path");
+const { resolveCompilerSettings } = require("./buildInfo");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "../../deployments");
+
+// DEPLOYMENTS_DIR in the environment redirects records, e.g. to a scratch copy during a dry run
+function deploymentsDir() {
+  return process.env.DEPLOYMENTS_DIR || DEPLOYMENTS_DIR;
+}
+
+function deploymentPath(networkName) {
+  return path.join(deploymentsDir(), `${networkName}.json`);
+}
+
+// Read the deployment record for a network, or an empty one if nothing was deployed yet
+function readDeployments(networkName) {
+  const filePath = deploymentPath(networkName);
+  if (!fs.existsSync(filePath)) {
+    return { network: networkName, chainId: null, contracts: {} };
+  }
+  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+function writeDeployments(networkName, record) {
+  if (!fs.existsSync(deploymentsDir())) {
+    fs.mkdirSync(deploymentsDir(), { recursive: true });
+  }
+  fs.writeFileSync(deploymentPath(networkName), JSON.stringify(record, null, 2) + "\n");
+}
+
+// Compiler settings actually used for the artifact, taken from its Hardhat build-info
+async function getCompilerSettings(hre, contractName) {
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  return resolveCompilerSettings(hre, artifact.sourceName, artifact.contractName);
+}
+
+// Persist a freshly deployed contract (proxy or plain) into deployments/<network>.json
+async function recordDeployment(hre, name, contract, { contractName = name, args = [], proxyKind = null } = {}) {
+  const receipt = await contract.deployTransaction.wait();
+  const implementation = proxyKind
+    ? await hre.upgrades.erc1967.getImplementationAddress(contract.address)
+    : null;
+
+  const record = readDeployments(hre.network.name);
+  record.chainId = (await hre.ethers.provider.getNetwork()).chainId;
+  record.contracts[name] = {
+    contractName,
+    address: contract.address,
+    proxyKind,
+    implementation,
+    args,
+    txHash: receipt.transactionHash,
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed.toString(),
+    deployer: receipt.from,
+    compiler: await getCompilerSettings(hre, contractName),
+    deployedAt: new Date().toISOString()
+  };
+  writeDeployments(hre.network.name, record);
+
+  return record.contracts[name];
+}
+
+// Point a recorded proxy at its new implementation after an upgrade. Pass contractName when
+// the proxy now runs a different contract (e.g. VirtualVaultV2).
+async function recordUpgrade(hre, name, implementation, { contractName } = {}) {
+  const record = readDeployments(hre.network.name);
+  const entry = record.contracts[name];
+  if (!entry) {
+    throw new Error(`No deployment of ${name} recorded for ${hre.network.name}`);
+  }
+
+  entry.previousImplementations = [...(entry.previousImplementations || []), entry.implementation].filter(Boolean);
+  entry.implementation = implementation;
+  entry.contractName = contractName || entry.contractName;
+  entry.compiler = await getCompilerSettings(hre, entry.contractName);
+  entry.upgradedAt = new Date().toISOString();
+  delete entry.pendingUpgrade;
+  writeDeployments(hre.network.name, record);
+
+  return entry;
+}
+
+// Look up a recorded deployment, failing with a hint about which deploy script to run
+function getDeployment(hre, name) {
+  const record = readDeployments(hre.network.name);
+  const entry = record.contracts[name];
+  if (!entry) {
+    throw new Error(
+      `No deployment of ${name} recorded for ${hre.network.name} (looked in ${deploymentPath(hre.network.name)}). Run the deploy script first.`
+    );
+  }
+  return entry;
+}
+
+// Note an implementation that was prepared but still has to be switched to by the ProxyAdmin owner
+function recordPendingUpgrade(hre, name, implementation, { contractName, proposal }) {
+  const record = readDeployments(hre.network.name);
+  const entry = record.contracts[name];
+  if (!entry) {
+    throw new Error(`No deployment of ${name} recorded for ${hre.network.name}`);
+  }
+
+  entry.pendingUpgrade = { implementation, contractName, proposal, preparedAt: new Date().toISOString() };
+  writeDeployments(hre.network.name, record);
+  return entry;
+}
+
+// Find a recorded deployment by name or address; resolves to { name, ...entry }
+function findDeployment(hre, nameOrAddress) {
+  const record = readDeployments(hre.network.name);
+  if (record.contracts[nameOrAddress]) {
+    return { name: nameOrAddress, ...record.contracts[nameOrAddress] };
+  }
+  const match = Object.entries(record.contracts).find(
+    ([, entry]) => entry.address.toLowerCase() === String(nameOrAddress).toLowerCase()
+  );
+  return match ? { name: match[0], ...match[1] } : null;
+}
+
+module.exports = {
+  findDeployment,
+  readDeployments,
+  writeDeployments,
+  recordDeployment,
+  recordUpgrade,
+  recordPendingUpgrade,
+  getDeployment,
+  getCompilerSettings,
+  deploymentPath
+};
@@ -0,0 +1,195 @@
+// scripts/utils/dryRun.js
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawn } = require("child_process");
+const { ethers } = require("ethers");
+const { deploymentPath } = require("./deployments");
+const { isActionDone, executeAction, describeAction } = require("./deployEngine");
+const { decodeRevertReason } = require("./txSender");
+
+const DRY_RUN_BALANCE = ethers.utils.parseEther("1000");
+
+// Re-run `script` with `--network hardhat` in a child process that forks the selected network at its
+// latest block (see startDryRun). Reads the fork point, deployer and balance from the live network first.
+async function runOnFork(hre, script) {
+  const { name, config } = hre.network;
+  if (!config.url) {
+    throw new Error(`Dry run needs a JSON-RPC network to fork, but "${name}" has no url`);
+  }
+
+  const liveProvider = hre.network.provider;
+  const latest = await liveProvider.request({ method: "eth_getBlockByNumber", params: ["latest", false] });
+  const [deployer] = await liveProvider.request({ method: "eth_accounts" });
+  if (!deployer) {
+    throw new Error(`No account configured for ${name}; the dry run needs the deployer address`);
+  }
+  const liveBalance = await liveProvider.request({ method: "eth_getBalance", params: [deployer, "latest"] });
+
+  const fork = {
+    network: name,
+    url: config.url,
+    deployer,
+    liveBalance: ethers.BigNumber.from(liveBalance).toString(),
+    blockNumber: parseInt(latest.number, 16),
+    baseFeePerGas: ethers.BigNumber.from(latest.baseFeePerGas || 0).toString()
+  };
+  const hardhatBin = path.join(path.dirname(require.resolve("hardhat/package.json")), require("hardhat/package.json").bin.hardhat);
+  const args = [hardhatBin, "run", script, "--network", "hardhat", "--config", hre.config.paths.configFile];
+  const env = { ...process.env, DRY_RUN_FORK: JSON.stringify(fork) };
+  delete env.DRY_RUN;
+  delete env.HARDHAT_NETWORK;
+
+  const code = await new Promise((resolve, reject) => {
+    spawn(process.execPath, args, { cwd: hre.config.paths.root, env, stdio: "inherit" })
+      .on("error", reject)
+      .on("exit", resolve);
+  });
+  if (code !== 0) {
+    throw new Error(`Dry run on a fork of ${name} failed (exit code ${code})`);
+  }
+}
+
+// In the child started by runOnFork: fork the live network on the in-process Hardhat network with
+// hardhat_reset and carry on under the live network's name, so manifests, gas settings and
+// records are looked up as for the real run. Must run before hre.ethers is first used.
+async function startDryRun(hre) {
+  const fork = JSON.parse(process.env.DRY_RUN_FORK);
+  if (hre.network.name !== "hardhat") {
+    throw new Error(`A forked dry run runs on the hardhat network, not "${hre.network.name}"`);
+  }
+
+  const provider = hre.network.provider;
+  await provider.request({
+    method: "hardhat_reset",
+    params: [{ forking: { jsonRpcUrl: fork.url, blockNumber: fork.blockNumber } }]
+  });
+  // Send as the real deployer without its key, funded so gas never masks the actual result
+  await provider.request({ method: "hardhat_impersonateAccount", params: [fork.deployer] });
+  await provider.request({ method: "hardhat_setBalance", params: [fork.deployer, DRY_RUN_BALANCE.toHexString()] });
+
+  // Records written during the dry run go to a scratch copy of the live one
+  const recordsDir = fs.mkdtempSync(path.join(os.tmpdir(), `dry-run-${fork.network}-`));
+  const liveRecord = deploymentPath(fork.network);
+  if (fs.existsSync(liveRecord)) {
+    fs.copyFileSync(liveRecord, path.join(recordsDir, path.basename(liveRecord)));
+  }
+  process.env.DEPLOYMENTS_DIR = recordsDir;
+
+  hre.network.name = fork.network;
+
+  return {
+    network: fork.network,
+    deployer: fork.deployer,
+    liveBalance: ethers.BigNumber.from(fork.liveBalance),
+    blockNumber: fork.blockNumber,
+    baseFeePerGas: ethers.BigNumber.from(fork.baseFeePerGas),
+    stop() {
+      fs.rmSync(recordsDir, { recursive: true, force: true });
+      delete process.env.DEPLOYMENTS_DIR;
+    }
+  };
+}
+
+// Gas used by every transaction mined on the fork after `fromBlock`
+async function gasMinedSince(provider, fromBlock) {
+  const toBlock = await provider.getBlockNumber();
+  let gasUsed = ethers.BigNumber.from(0);
+  let txCount = 0;
+  for (let number = fromBlock + 1; number <= toBlock; number++) {
+    const block = await provider.getBlock(number);
+    for (const txHash of block.transactions) {
+      const receipt = await provider.getTransactionReceipt(txHash);
+      gasUsed = gasUsed.add(receipt.gasUsed);
+      txCount++;
+    }
+  }
+  return { gasUsed, txCount };
+}
+
+// Execute every action on the fork and describe what it would cost on the live network.
+// Reverting actions are recorded and the plan continues, so one run shows every problem.
+async function planActions(hre, actions, context) {
+  const provider = hre.ethers.provider;
+  const plan = [];
+
+  for (const action of actions) {
+    const entry = {
+      id: action.id,
+      description: action.description,
+      contract: action.type === "deploy" ? action.contract : action.target,
+      method: action.type === "deploy" ? "deployProxy + initialize" : action.method,
+      call: null,
+      status: "ok",
+      gasUsed: null,
+      txCount: 0,
+      fee: null,
+      reason: null
+    };
+
+    try {
+      entry.call = describeAction(hre, action, context);
+      if (await isActionDone(hre, action, context)) {
+        entry.status = "skip";
+        entry.reason = "already done on-chain";
+        plan.push(entry);
+        continue;
+      }
+
+      const fromBlock = await provider.getBlockNumber();
+      const { tx } = await executeAction(hre, action, context);
+      await tx.wait();
+      const { gasUsed, txCount } = await gasMinedSince(provider, fromBlock);
+      entry.gasUsed = gasUsed;
+      entry.txCount = txCount;
+      entry.fee = gasUsed.mul(context.baseFeePerGas);
+    } catch (error) {
+      entry.status = "revert";
+      entry.reason = decodeRevertReason(error);
+    }
+    plan.push(entry);
+  }
+
+  return plan;
+}
+
+function printPlan(plan, dryRun) {
+  console.log(`\n=== Dry-run plan for ${dryRun.network} (forked at block ${dryRun.blockNumber}) ===`);
+  console.log(`Base fee: ${ethers.utils.formatUnits(dryRun.baseFeePerGas, "gwei")} gwei, sender: ${dryRun.deployer}`);
+
+  plan.forEach((entry, i) => {
+    const marker = { ok: "✅", skip: "⏭️ ", revert: "❌" }[entry.status];
+    console.log(`\n${String(i + 1).padStart(2)}. ${marker} ${entry.contract}.${entry.method}`);
+    if (entry.call) {
+      console.log(`    ${entry.call}`);
+    }
+    if (entry.status === "ok") {
+      const txs = entry.txCount === 1 ? "" : ` over ${entry.txCount} txs`;
+      console.log(`    gas ${entry.gasUsed.toString()}${txs}, fee ≈ ${ethers.utils.formatEther(entry.fee)} ETH`);
+    } else {
+      console.log(`    ${entry.status === "revert" ? "reverts" : "skipped"}: ${entry.reason}`);
+    }
+  });
+
+  const sent = plan.filter((entry) => entry.status === "ok");
+  const totalGas = sent.reduce((sum, entry) => sum.add(entry.gasUsed), ethers.BigNumber.from(0));
+  const totalFee = totalGas.mul(dryRun.baseFeePerGas);
+  const reverts = plan.filter((entry) => entry.status === "revert");
+
+  console.log("\n=== Totals ===");
+  console.log(`Steps: ${sent.length} to send, ${plan.length - sent.length - reverts.length} already done, ${reverts.length} reverting`);
+  console.log(`Estimated gas: ${totalGas.toString()}`);
+  console.log(`Estimated fee at current base fee: ${ethers.utils.formatEther(totalFee)} ETH`);
+  console.log(`Deployer balance: ${ethers.utils.formatEther(dryRun.liveBalance)} ETH`);
+  if (dryRun.liveBalance.lt(totalFee)) {
+    console.log("⚠️  Deployer balance does not cover the estimated fee");
+  }
+  console.log("Nothing was broadcast.");
+}
+
+module.exports = {
+  runOnFork,
+  startDryRun,
+  planActions,
+  printPlan
+};
@@ -0,0 +1,119 @@
+// scripts/utils/env.js
+const fs = require("fs");
+
+// Environment variables each live network reads in hardhat.config.js
+const NETWORK_ENV = {
+  scrollSepolia: { rpcUrl: "API_URL_SCROLL_SEPOLIA", privateKey: "PRIVATE_KEY", explorerApiKey: "ETHERSCAN_API_KEY_SCROLL_SEPOLIA" },
+  sepolia: { rpcUrl: "API_URL_SEPOLIA", privateKey: "PRIVATE_KEY", explorerApiKey: "ETHERSCAN_API_KEY_SEPOLIA" },
+  baseSepolia: { rpcUrl: "API_URL_BASE_SEPOLIA", privateKey: "PRIVATE_KEY", explorerApiKey: "ETHERSCAN_API_KEY_BASE_SEPOLIA" },
+  // Mainnets sign through a keystore or remote signer (see scripts/utils/signers.js), not a private key
+  base: { rpcUrl: "API_URL_BASE", signerUrl: "SIGNER_URL", explorerApiKey: "ETHERSCAN_API_KEY_BASE" },
+  scroll: { rpcUrl: "API_URL_SCROLL", signerUrl: "SIGNER_URL", explorerApiKey: "ETHERSCAN_API_KEY_SCROLL" },
+  anvilForkedScroll: { rpcUrl: "API_URL_ANVIL", privateKey: "ANVIL_PRIVATE_KEY", forkUrl: "API_URL_SCROLL" }
+};
+
+// Tasks that never connect to --network (account reads every network itself and skips unset ones)
+const OFFLINE_TASKS = [
+  "check-env", "compile", "clean", "flatten", "help", "check", "account", "mock-explorer", "stub-signer", "create-keystore", "report", "events"
+];
+// Tasks that only read from the network
+const READ_ONLY_TASKS = ["check-deployment", "sync-upgrades", "vault-status", "snapshot", "index"];
+// Tasks that read from the network and talk to its explorer; upgrade and propose-upgrade also verify unless --skip-verify
+const VERIFY_TASKS = ["verify", "verify-upgradeable"];
+const VERIFYING_TASKS = ["upgrade", "propose-upgrade"];
+
+// Hardhat global options that take a value, so their value is not mistaken for the task name
+const GLOBAL_OPTIONS_WITH_VALUE = ["--network", "--config", "--max-memory", "--tsconfig"];
+
+// The network and task a `hardhat ...` command line selects. Hardhat takes --network anywhere on
+// the line, so it is read from the whole argv, including after the task or script name
+function parseInvocation(argv = process.argv.slice(2), env = process.env) {
+  let network = env.HARDHAT_NETWORK || "hardhat";
+  let taskIndex = -1;
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--network") {
+      network = argv[++i];
+    } else if (taskIndex === -1 && GLOBAL_OPTIONS_WITH_VALUE.includes(arg)) {
+      i++;
+    } else if (taskIndex === -1 && !arg.startsWith("--")) {
+      taskIndex = i;
+    }
+  }
+  if (taskIndex === -1) {
+    return { network, task: "help", args: [] };
+  }
+  return { network, task: argv[taskIndex], args: argv.slice(taskIndex + 1) };
+}
+
+// Which of a network's variables a task needs
+function requiredVariables(networkName, { task, args = [] }) {
+  const spec = NETWORK_ENV[networkName];
+  if (!spec || OFFLINE_TASKS.includes(task)) {
+    return [];
+  }
+
+  const required = [["rpcUrl", spec.rpcUrl]];
+  if (spec.forkUrl) {
+    required.push(["rpcUrl", spec.forkUrl]);
+  }
+  if (spec.privateKey && !READ_ONLY_TASKS.includes(task) && !VERIFY_TASKS.includes(task)) {
+    required.push(["privateKey", spec.privateKey]);
+  }
+  const verifies = VERIFY_TASKS.includes(task) || (VERIFYING_TASKS.includes(task) && !args.includes("--skip-verify"));
+  if (verifies && spec.explorerApiKey) {
+    required.push(["explorerApiKey", spec.explorerApiKey]);
+  }
+  return required;
+}
+
+const CHECKS = {
+  rpcUrl: (value) => (/^(https?|wss?):\/\/\S+$/.test(value) ? null : "is not an http(s) or ws(s) URL"),
+  privateKey: (value) => (/^(0x)?[0-9a-fA-F]{64}$/.test(value) ? null : "is not a 32-byte hex private key"),
+  explorerApiKey: (value) => (/^\S+$/.test(value) ? null : "contains whitespace")
+};
+
+// Every missing or malformed variable the task needs on the network, as readable messages
+function checkNetworkEnv(networkName, invocation, env = process.env) {
+  const problems = [];
+  for (const [kind, name] of requiredVariables(networkName, invocation)) {
+    const value = env[name];
+    if (value === undefined || value.trim() === "") {
+      problems.push(`${name} is not set`);
+      continue;
+    }
+    const problem = CHECKS[kind](value.trim());
+    if (problem) {
+      problems.push(`${name} ${problem}`);
+    }
+  }
+
+  // Optional, but a malformed signer URL would only fail at the first signature
+  const spec = NETWORK_ENV[networkName];
+  const signerUrl = spec && spec.signerUrl && env[spec.signerUrl];
+  if (signerUrl && !OFFLINE_TASKS.includes(invocation.task) && CHECKS.rpcUrl(signerUrl.trim())) {
+    problems.push(`${spec.signerUrl} ${CHECKS.rpcUrl(signerUrl.trim())}`);
+  }
+  return problems;
+}
+
+// Variable names in a dotenv file, in order
+function readEnvKeys(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  return fs.readFileSync(filePath, "utf8")
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith("#"))
+    .map((line) => line.replace(/^export\s+/, "").split("=")[0].trim())
+    .filter(Boolean);
+}
+
+module.exports = {
+  NETWORK_ENV,
+  parseInvocation,
+  requiredVariables,
+  checkNetworkEnv,
+  readEnvKeys
+};
@@ -0,0 +1,266 @@
+// scripts/utils/explorer.js
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+const { VerifyState, classifyVerifyStatus, isVerifiedState, pollVerifyStatus } = require("./verifyStatus");
+const { buildStandardJsonInput, resolveCompilerSettings, assertBytecodeMatches, describeSettings } = require("./buildInfo");
+const { NETWORK_ENV } = require("./env");
+
+const FLAT_DIR = path.join(__dirname, "../flattened-contracts");
+
+// Explorer API settings for the active network, taken from etherscan.customChains in hardhat.config.js
+function resolveExplorer(hre) {
+  const networkName = hre.network.name;
+  const chain = (hre.config.etherscan.customChains || []).find((c) => c.network === networkName);
+  if (!chain) {
+    throw new Error(`No etherscan.customChains entry for network "${networkName}" in hardhat.config.js`);
+  }
+
+  const apiKeys = hre.config.etherscan.apiKey;
+  const apiKey = typeof apiKeys === "string" ? apiKeys : apiKeys[networkName];
+  if (!apiKey) {
+    const spec = NETWORK_ENV[networkName];
+    const hint = spec && spec.explorerApiKey ? `; set ${spec.explorerApiKey} in .env` : "";
+    throw new Error(`No etherscan.apiKey configured for network "${networkName}"${hint}`);
+  }
+
+  return {
+    network: networkName,
+    apiURL: chain.urls.apiURL,
+    browserURL: chain.urls.browserURL,
+    apiKey
+  };
+}
+
+function addressURL(explorer, address) {
+  return `${explorer.browserURL}/address/${address}#code`;
+}
+
+// Flatten a source file, keeping only the first SPDX identifier and pragma
+async function flattenContract(hre, sourceName, outputFileName) {
+  console.log(`Flattening ${sourceName}...`);
+  const flattenedCode = await hre.run("flatten:get-flattened-sources", {
+    files: [sourceName]
+  });
+
+  let cleanedCode = "";
+  let licenseSeen = false;
+  let pragmaSeen = false;
+
+  for (const line of flattenedCode.split("\n")) {
+    if (line.trim().startsWith("// SPDX-License-Identifier:")) {
+      if (!licenseSeen) {
+        cleanedCode += line + "\n";
+        licenseSeen = true;
+      }
+    } else if (line.trim().startsWith("pragma solidity")) {
+      if (!pragmaSeen) {
+        cleanedCode += line + "\n";
+        pragmaSeen = true;
+      }
+    } else {
+      cleanedCode += line + "\n";
+    }
+  }
+
+  if (!fs.existsSync(FLAT_DIR)) {
+    fs.mkdirSync(FLAT_DIR);
+  }
+  const outputPath = path.join(FLAT_DIR, outputFileName);
+  fs.writeFileSync(outputPath, cleanedCode);
+  console.log(`Saved flattened contract to: ${outputPath}`);
+  return cleanedCode;
+}
+
+async function isVerified(explorer, address) {
+  const response = await axios.get(explorer.apiURL, {
+    params: {
+      module: "contract",
+      action: "getsourcecode",
+      address,
+      apikey: explorer.apiKey
+    }
+  });
+
+  return response.data.status === "1" &&
+    Array.isArray(response.data.result) &&
+    response.data.result[0].SourceCode &&
+    response.data.result[0].SourceCode.length > 10;
+}
+
+async function submitVerification(explorer, verifyData) {
+  const response = await axios.post(
+    explorer.apiURL,
+    new URLSearchParams({ apikey: explorer.apiKey, module: "contract", action: "verifysourcecode", ...verifyData }),
+    { headers: { "Content-Type": "application/x-www-form-urlencoded" } }
+  );
+  return response.data;
+}
+
+// Submit a request, retrying while rate-limited, then poll the GUID for the explorer's verdict
+async function submitAndCheck(explorer, verifyData, polling = {}) {
+  let submitResponse = await submitVerification(explorer, verifyData);
+  for (let retry = 1; retry <= 3 && classifyVerifyStatus(submitResponse) === VerifyState.RATE_LIMITED; retry++) {
+    console.log(`Rate limited by the explorer, retrying submission in ${retry * 5} seconds...`);
+    await new Promise((resolve) => setTimeout(resolve, retry * 5000));
+    submitResponse = await submitVerification(explorer, verifyData);
+  }
+
+  if (submitResponse.status !== "1") {
+    return { state: classifyVerifyStatus(submitResponse), result: submitResponse.result };
+  }
+  console.log(`✅ Verification request submitted successfully!`);
+  console.log(`GUID: ${submitResponse.result}`);
+
+  const outcome = await pollVerifyStatus(explorer, submitResponse.result, polling);
+  if (outcome.timedOut) {
+    return { state: outcome.state, result: `Timed out after ${outcome.attempts} checks (last status: ${outcome.result})` };
+  }
+  return outcome;
+}
+
+// Log the outcome of a submission and turn it into verified / not verified
+function reportOutcome(contractName, { state, result }) {
+  if (isVerifiedState(state)) {
+    console.log(`✅ ${contractName} ${state === VerifyState.ALREADY_VERIFIED ? "was already verified" : "successfully verified"}!`);
+    return true;
+  }
+  console.log(`❌ Verification ${state}: ${result}`);
+  return false;
+}
+
+// Submit a standard JSON input the caller already has (local build-info or a plugin's bundled one)
+async function submitStandardJson(explorer, { contractName, sourceName, address, input, compilerVersion, licenseType, constructorArguments = "" }, polling) {
+  console.log(`Submitting standard JSON input (${Object.keys(input.sources).length} sources) to ${explorer.apiURL}...`);
+
+  const verifyData = {
+    contractaddress: address,
+    sourceCode: JSON.stringify(input),
+    codeformat: "solidity-standard-json-input",
+    contractname: `${sourceName}:${contractName}`,
+    compilerversion: compilerVersion,
+    licenseType: String(licenseType)
+  };
+  if (constructorArguments) {
+    // Etherscan's parameter name really is misspelled
+    verifyData.constructorArguements = constructorArguments.replace(/^0x/, "");
+  }
+
+  const outcome = await submitAndCheck(explorer, verifyData, polling);
+  return reportOutcome(contractName, outcome);
+}
+
+async function verifyWithStandardJson(hre, explorer, { contractName, sourceName, address, polling }) {
+  const { input } = await buildStandardJsonInput(hre, sourceName, contractName);
+  const settings = await resolveCompilerSettings(hre, sourceName, contractName);
+  console.log(`Using ${describeSettings(settings)}`);
+
+  return submitStandardJson(explorer, {
+    contractName,
+    sourceName,
+    address,
+    input,
+    compilerVersion: settings.compilerVersion,
+    licenseType: settings.licenseType
+  }, polling);
+}
+
+async function verifyWithFlattenedSource(hre, explorer, { contractName, sourceName, address, polling }) {
+  const settings = await resolveCompilerSettings(hre, sourceName, contractName);
+  if (settings.viaIR) {
+    throw new Error(`${contractName} was compiled with viaIR, which a flattened submission cannot express; verify without --flatten`);
+  }
+
+  const sourceCode = await flattenContract(hre, sourceName, `${contractName}_flat.sol`);
+
+  console.log(`Submitting flattened source to ${explorer.apiURL}...`);
+  console.log(`Using ${describeSettings(settings)}`);
+
+  const outcome = await submitAndCheck(explorer, {
+    contractaddress: address,
+    sourceCode,
+    codeformat: "solidity-single-file",
+    contractname: contractName,
+    compilerversion: settings.compilerVersion,
+    optimizationUsed: settings.optimizer.enabled ? "1" : "0",
+    runs: settings.optimizer.runs.toString(),
+    evmversion: settings.evmVersion,
+    licenseType: settings.licenseType.toString()
+  }, polling);
+
+  return reportOutcome(contractName, outcome);
+}
+
+// Verify a deployed contract through the explorer API. Submits the build-info's standard JSON
+// input unless `flatten` asks for the legacy flattened single-file submission.
+async function verifyContract(hre, explorer, { contractName, sourceName, address, flatten = false, polling = {} }) {
+  console.log(`\nVerifying ${contractName} at ${address}...`);
+
+  try {
+    if (await isVerified(explorer, address)) {
+      console.log(`✅ ${contractName} is already verified!`);
+      return true;
+    }
+  } catch (error) {
+    console.log(`Error checking verification status: ${error.message}`);
+  }
+
+  try {
+    const target = { contractName, sourceName, address, polling };
+    const metadataMatches = await assertBytecodeMatches(hre, target);
+    if (!metadataMatches) {
+      console.log("⚠️  Executable bytecode matches but the metadata hash differs; the explorer may only report a partial match.");
+    }
+
+    return flatten
+      ? await verifyWithFlattenedSource(hre, explorer, target)
+      : await verifyWithStandardJson(hre, explorer, target);
+  } catch (error) {
+    console.error(`Error verifying ${contractName}:`, error.message);
+    return false;
+  }
+}
+
+// Ask the explorer to link a proxy to its implementation so the proxy page gets the read/write tabs
+async function linkProxy(explorer, { proxy, implementation, polling = {} }) {
+  console.log(`\nLinking proxy ${proxy} to implementation ${implementation}...`);
+  try {
+    const response = await axios.post(
+      explorer.apiURL,
+      new URLSearchParams({
+        apikey: explorer.apiKey,
+        module: "contract",
+        action: "verifyproxycontract",
+        address: proxy,
+        expectedimplementation: implementation
+      }),
+      { headers: { "Content-Type": "application/x-www-form-urlencoded" } }
+    );
+
+    if (response.data.status !== "1") {
+      console.log(`❌ Proxy linking request failed: ${response.data.result}`);
+      return false;
+    }
+
+    const outcome = await pollVerifyStatus(explorer, response.data.result, { ...polling, action: "checkproxyverification" });
+    if (!outcome.timedOut && isVerifiedState(outcome.state)) {
+      console.log(`✅ Proxy ${proxy} linked: ${outcome.result}`);
+      return true;
+    }
+    console.log(`❌ Proxy linking ${outcome.timedOut ? "timed out" : outcome.state}: ${outcome.result}`);
+    return false;
+  } catch (error) {
+    console.error(`Error linking proxy ${proxy}:`, error.message);
+    return false;
+  }
+}
+
+module.exports = {
+  resolveExplorer,
+  addressURL,
+  flattenContract,
+  isVerified,
+  submitStandardJson,
+  verifyContract,
+  linkProxy
+};
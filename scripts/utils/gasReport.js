@@ -0,0 +1,188 @@
+// scripts/utils/gasReport.js
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { loadNetworkConfig, hasNetworkConfig } = require("./networkConfig");
+
+const REPORTS_DIR = path.join(__dirname, "../../reports");
+
+// L1 data fee oracles: OP-stack GasPriceOracle and Scroll L1GasPriceOracle predeploys
+const L1_FEE_ORACLES = {
+  "op-stack": "0x420000000000000000000000000000000000000F",
+  scroll: "0x5300000000000000000000000000000000000002"
+};
+const L1_FEE_ORACLE_ABI = ["function getL1Fee(bytes _data) view returns (uint256)"];
+
+// Unsigned RLP encoding of a mined tx. getL1Fee(bytes) on both oracles takes the unsigned tx
+// and adds the signature's overhead itself, so passing the signed encoding would overstate the fee.
+function serializeUnsignedTx(tx) {
+  const fields = {
+    type: tx.type,
+    chainId: tx.chainId,
+    nonce: tx.nonce,
+    gasLimit: tx.gasLimit,
+    to: tx.to || undefined,
+    value: tx.value,
+    data: tx.data
+  };
+  if (tx.type === 2) {
+    Object.assign(fields, { maxFeePerGas: tx.maxFeePerGas, maxPriorityFeePerGas: tx.maxPriorityFeePerGas, accessList: tx.accessList || [] });
+  } else {
+    Object.assign(fields, { gasPrice: tx.gasPrice }, tx.type === 1 ? { accessList: tx.accessList || [] } : {});
+  }
+  return ethers.utils.serializeTransaction(fields);
+}
+
+// L1 data fee of a rollup tx: the receipt's l1Fee field where the node returns it,
+// otherwise the fee oracle queried at the tx's block
+async function readL1Fee(provider, rollup, txHash, blockNumber) {
+  if (!rollup) {
+    return ethers.BigNumber.from(0);
+  }
+  const rawReceipt = await provider.send("eth_getTransactionReceipt", [txHash]);
+  if (rawReceipt && rawReceipt.l1Fee) {
+    return ethers.BigNumber.from(rawReceipt.l1Fee);
+  }
+
+  const oracle = new ethers.Contract(L1_FEE_ORACLES[rollup], L1_FEE_ORACLE_ABI, provider);
+  const tx = await provider.getTransaction(txHash);
+  return oracle.getL1Fee(serializeUnsignedTx(tx), { blockTag: blockNumber });
+}
+
+// L1 data fee a tx would pay if sent now, from the fee oracle given its unsigned encoding
+async function estimateL1Fee(provider, rollup, tx) {
+  if (!rollup) {
+    return ethers.BigNumber.from(0);
+  }
+  const oracle = new ethers.Contract(L1_FEE_ORACLES[rollup], L1_FEE_ORACLE_ABI, provider);
+  return oracle.getL1Fee(ethers.utils.serializeTransaction(tx));
+}
+
+// Cost breakdown of one tracked transaction
+async function describeCost(provider, rollup, result) {
+  const entry = {
+    operation: result.description,
+    status: result.success ? "success" : "failed",
+    txHash: result.txHash,
+    gasUsed: null,
+    effectiveGasPrice: null,
+    l2ExecutionFee: null,
+    l1DataFee: null,
+    totalFee: null
+  };
+  if (!result.txHash) {
+    return entry; // never sent, so it cost nothing
+  }
+
+  const receipt = await provider.getTransactionReceipt(result.txHash);
+  const l2ExecutionFee = receipt.gasUsed.mul(receipt.effectiveGasPrice);
+  const l1DataFee = await readL1Fee(provider, rollup, result.txHash, receipt.blockNumber);
+  return {
+    ...entry,
+    gasUsed: receipt.gasUsed,
+    effectiveGasPrice: receipt.effectiveGasPrice,
+    l2ExecutionFee,
+    l1DataFee,
+    totalFee: l2ExecutionFee.add(l1DataFee)
+  };
+}
+
+const eth = (value) => (value == null ? "" : ethers.utils.formatEther(value));
+const gwei = (value) => (value == null ? "" : ethers.utils.formatUnits(value, "gwei"));
+const str = (value) => (value == null ? "" : value.toString());
+
+function toJson(report) {
+  return JSON.stringify({
+    ...report,
+    operations: report.operations.map((op) => ({
+      operation: op.operation,
+      status: op.status,
+      txHash: op.txHash,
+      gasUsed: str(op.gasUsed) || null,
+      effectiveGasPriceGwei: gwei(op.effectiveGasPrice) || null,
+      l2ExecutionFeeEth: eth(op.l2ExecutionFee) || null,
+      l1DataFeeEth: eth(op.l1DataFee) || null,
+      totalFeeEth: eth(op.totalFee) || null
+    })),
+    totals: {
+      gasUsed: report.totals.gasUsed.toString(),
+      l2ExecutionFeeEth: eth(report.totals.l2ExecutionFee),
+      l1DataFeeEth: eth(report.totals.l1DataFee),
+      totalFeeEth: eth(report.totals.totalFee)
+    }
+  }, null, 2) + "\n";
+}
+
+function toCsv(report) {
+  const quote = (value) => (/[",\n]/.test(value) ? `"${value.replace(/"/g, "\"\"")}"` : value);
+  const rows = [["operation", "status", "txHash", "gasUsed", "effectiveGasPriceGwei", "l2ExecutionFeeEth", "l1DataFeeEth", "totalFeeEth"]];
+  for (const op of report.operations) {
+    rows.push([op.operation, op.status, op.txHash || "", str(op.gasUsed), gwei(op.effectiveGasPrice), eth(op.l2ExecutionFee), eth(op.l1DataFee), eth(op.totalFee)]);
+  }
+  rows.push(["TOTAL", "", "", str(report.totals.gasUsed), "", eth(report.totals.l2ExecutionFee), eth(report.totals.l1DataFee), eth(report.totals.totalFee)]);
+  return rows.map((row) => row.map((value) => quote(String(value))).join(",")).join("\n") + "\n";
+}
+
+function toMarkdown(report) {
+  const lines = [
+    `### Gas report: ${report.script} on ${report.network}`,
+    "",
+    `Generated ${report.generatedAt}${report.rollup ? ` (${report.rollup} rollup, fees include the L1 data fee)` : ""}`,
+    "",
+    "| Operation | Status | Gas used | Gas price (gwei) | L2 execution fee (ETH) | L1 data fee (ETH) | Total (ETH) |",
+    "| --- | --- | ---: | ---: | ---: | ---: | ---: |"
+  ];
+  for (const op of report.operations) {
+    const status = op.status === "success" ? "✅" : op.txHash ? "❌ reverted" : "❌ not sent";
+    lines.push(`| ${op.operation.replace(/\|/g, "\\|")} | ${status} | ${str(op.gasUsed)} | ${gwei(op.effectiveGasPrice)} | ${eth(op.l2ExecutionFee)} | ${eth(op.l1DataFee)} | ${eth(op.totalFee)} |`);
+  }
+  lines.push(`| **Total** | | **${report.totals.gasUsed.toString()}** | | **${eth(report.totals.l2ExecutionFee)}** | **${eth(report.totals.l1DataFee)}** | **${eth(report.totals.totalFee)}** |`);
+  return lines.join("\n") + "\n";
+}
+
+// Write reports/<network>/<script>-<timestamp>.{json,csv,md} for the transactions a sender tracked
+async function writeGasReport(hre, script, results) {
+  const provider = hre.ethers.provider;
+  const rollup = hasNetworkConfig(hre.network.name) ? loadNetworkConfig(hre).rollup || null : null;
+
+  const operations = [];
+  for (const result of results) {
+    operations.push(await describeCost(provider, rollup, result));
+  }
+
+  const zero = ethers.BigNumber.from(0);
+  const sum = (field) => operations.reduce((total, op) => (op[field] ? total.add(op[field]) : total), zero);
+  const report = {
+    script,
+    network: hre.network.name,
+    chainId: (await provider.getNetwork()).chainId,
+    rollup,
+    generatedAt: new Date().toISOString(),
+    operations,
+    totals: {
+      gasUsed: sum("gasUsed"),
+      l2ExecutionFee: sum("l2ExecutionFee"),
+      l1DataFee: sum("l1DataFee"),
+      totalFee: sum("totalFee")
+    }
+  };
+
+  const dir = path.join(REPORTS_DIR, hre.network.name);
+  fs.mkdirSync(dir, { recursive: true });
+  const base = path.join(dir, `${script}-${report.generatedAt.replace(/[:.]/g, "-")}`);
+  const files = { json: `${base}.json`, csv: `${base}.csv`, markdown: `${base}.md` };
+  fs.writeFileSync(files.json, toJson(report));
+  fs.writeFileSync(files.csv, toCsv(report));
+  fs.writeFileSync(files.markdown, toMarkdown(report));
+
+  console.log(`\nTotal fee: ${eth(report.totals.totalFee)} ETH (L2 execution ${eth(report.totals.l2ExecutionFee)}, L1 data ${eth(report.totals.l1DataFee)})`);
+  console.log(`Gas report: ${files.json}, ${files.csv}, ${files.markdown}`);
+  return { report, files };
+}
+
+module.exports = {
+  writeGasReport,
+  readL1Fee,
+  estimateL1Fee,
+  L1_FEE_ORACLES
+};
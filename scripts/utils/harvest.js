@@ -0,0 +1,155 @@
+// scripts/utils/harvest.js
+const { ethers } = require("ethers");
+const { loadNetworkConfig, hasNetworkConfig } = require("./networkConfig");
+const { loadGasSettings } = require("./txSender");
+const { estimateL1Fee } = require("./gasReport");
+const { readAdapterMetrics } = require("./metrics");
+const { formatTable } = require("./table");
+
+const DEFAULT_HARVEST_SETTINGS = {
+  minIntervalHours: 24,
+  minProfit: 0, // in asset units, after gas
+  nativePrice: null // asset units per unit of the native token, e.g. USDC per ETH
+};
+
+// The "harvest" block of config/networks/<network>.json, with command-line overrides on top
+function loadHarvestSettings(hre, overrides = {}) {
+  const configured = hasNetworkConfig(hre.network.name) ? loadNetworkConfig(hre).harvest || {} : {};
+  const settings = { ...DEFAULT_HARVEST_SETTINGS, ...configured };
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value !== undefined) {
+      settings[key] = value;
+    }
+  }
+  if (!(settings.nativePrice > 0)) {
+    throw new Error(
+      `No native token price for ${hre.network.name}; set "harvest": { "nativePrice": ... } in its network config or pass --native-price`
+    );
+  }
+  return { ...settings, rollup: hasNetworkConfig(hre.network.name) ? loadNetworkConfig(hre).rollup || null : null };
+}
+
+// Harvest age and estimated interest of every active protocol, as accrueAndFlush would harvest them
+async function readHarvestState(hre, { combinedVault, asset }) {
+  const block = await hre.ethers.provider.getBlock("latest");
+  const registry = await hre.ethers.getContractAt("ProtocolRegistry", await combinedVault.registry());
+  const activeIds = await registry.getActiveProtocolIds({ blockTag: block.number });
+
+  const protocols = [];
+  for (const id of activeIds) {
+    const [name, adapter] = await Promise.all([
+      registry.getProtocolName(id, { blockTag: block.number }),
+      registry.getAdapter(id, asset.address, { blockTag: block.number })
+    ]);
+    const metrics = await readAdapterMetrics(hre.ethers.provider, adapter, asset.address, { blockTag: block.number, vault: combinedVault.address });
+    protocols.push({
+      id: id.toString(),
+      name,
+      adapter,
+      estimatedInterest: metrics.estimatedInterest === null ? null : ethers.BigNumber.from(metrics.estimatedInterest),
+      timeSinceLastHarvest: metrics.timeSinceLastHarvest === null ? null : Number(metrics.timeSinceLastHarvest)
+    });
+  }
+  return { blockNumber: block.number, timestamp: block.timestamp, protocols };
+}
+
+// What accrueAndFlush would cost now: estimated gas at the current gas price (capped like txSender caps it)
+// plus the L1 data fee on rollups. `from` must be allowed to call it, or the estimate reverts.
+async function estimateHarvestCost(hre, combinedVault, from, settings) {
+  const provider = hre.ethers.provider;
+  const gasSettings = loadGasSettings(hre);
+  const [gasLimit, feeData, network, nonce] = await Promise.all([
+    combinedVault.estimateGas.accrueAndFlush({ from }),
+    provider.getFeeData(),
+    provider.getNetwork(),
+    provider.getTransactionCount(from)
+  ]);
+  const cap = gasSettings.maxFeePerGas;
+  const gasPrice = cap && feeData.gasPrice.gt(cap) ? cap : feeData.gasPrice;
+  const executionFee = gasLimit.mul(gasPrice);
+  const l1Fee = await estimateL1Fee(provider, settings.rollup, {
+    type: 0,
+    chainId: network.chainId,
+    nonce,
+    gasLimit,
+    gasPrice,
+    to: combinedVault.address,
+    data: combinedVault.interface.encodeFunctionData("accrueAndFlush")
+  });
+  return { gasLimit, gasPrice, executionFee, l1Fee, totalFee: executionFee.add(l1Fee) };
+}
+
+// Whether accrueAndFlush is due and worth its gas, with the reasoning behind the answer. The adapters
+// report harvest age in seconds (0 = never harvested); adapters without the getter don't count.
+function decideHarvest(state, cost, settings, asset) {
+  const reasons = [];
+  const toAsset = (value) => ethers.utils.parseUnits(Number(value).toFixed(asset.decimals), asset.decimals);
+  const format = (amount) => `${ethers.utils.formatUnits(amount, asset.decimals)} ${asset.symbol}`;
+
+  const ages = state.protocols.map((protocol) => protocol.timeSinceLastHarvest).filter((age) => age !== null);
+  const harvested = ages.filter((age) => age > 0);
+  const minInterval = settings.minIntervalHours * 3600;
+  let due;
+  if (ages.length === 0) {
+    due = true;
+    reasons.push("no adapter reports its harvest age; the minimum interval is not enforced");
+  } else if (harvested.length < ages.length) {
+    due = true;
+    reasons.push("an active protocol was never harvested");
+  } else {
+    const lastHarvest = Math.min(...harvested);
+    due = lastHarvest >= minInterval;
+    reasons.push(`last harvest ${(lastHarvest / 3600).toFixed(1)}h ago, minimum interval ${settings.minIntervalHours}h`);
+  }
+
+  const unknown = state.protocols.filter((protocol) => protocol.estimatedInterest === null);
+  if (unknown.length > 0) {
+    reasons.push(`no interest estimate from protocol ${unknown.map((protocol) => protocol.id).join(", ")}; counted as 0`);
+  }
+  const interest = state.protocols
+    .filter((protocol) => protocol.estimatedInterest !== null)
+    .reduce((total, protocol) => total.add(protocol.estimatedInterest), ethers.BigNumber.from(0));
+  // Gas is paid in the native token; nativePrice converts it to asset units
+  const gasCost = cost.totalFee.mul(toAsset(settings.nativePrice)).div(ethers.constants.WeiPerEther);
+  const profit = interest.sub(gasCost);
+  const minProfit = toAsset(settings.minProfit);
+  const profitable = profit.gt(0) && profit.gte(minProfit);
+  reasons.push(
+    `estimated interest ${format(interest)} - gas ${format(gasCost)} ` +
+    `(${ethers.utils.formatEther(cost.totalFee)} native at ${settings.nativePrice}) = ${format(profit)}, minimum profit ${format(minProfit)}`
+  );
+
+  return { harvest: due && profitable, due, profitable, interest, gasCost, profit, reasons };
+}
+
+function formatHarvestDecision(state, cost, decision, asset) {
+  const format = (amount) => (amount === null ? "-" : `${ethers.utils.formatUnits(amount, asset.decimals)} ${asset.symbol}`);
+  const age = (seconds) => {
+    if (seconds === null) {
+      return "-";
+    }
+    return seconds === 0 ? "never" : `${(seconds / 3600).toFixed(1)}h`;
+  };
+  return [
+    `Block ${state.blockNumber}: ${state.protocols.length} active protocol${state.protocols.length === 1 ? "" : "s"}`,
+    formatTable(["ID", "NAME", "EST. INTEREST", "SINCE HARVEST"], state.protocols.map((protocol) => [
+      protocol.id,
+      protocol.name,
+      format(protocol.estimatedInterest),
+      age(protocol.timeSinceLastHarvest)
+    ])),
+    `accrueAndFlush: ${cost.gasLimit} gas at ${ethers.utils.formatUnits(cost.gasPrice, "gwei")} gwei + ${ethers.utils.formatEther(cost.l1Fee)} L1 fee`,
+    ...decision.reasons.map((reason) => `  - ${reason}`),
+    decision.harvest
+      ? "✅ Harvest: due and profitable"
+      : `⏸️ Skip: ${[!decision.due && "not due yet", !decision.profitable && "not profitable"].filter(Boolean).join(", ")}`
+  ].join("\n");
+}
+
+module.exports = {
+  loadHarvestSettings,
+  readHarvestState,
+  estimateHarvestCost,
+  decideHarvest,
+  formatHarvestDecision
+};
@@ -0,0 +1,261 @@
+// scripts/utils/indexer.js
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { readDeployments } = require("./deployments");
+const { toPlain } = require("./vaultOps");
+
+const REPORTS_DIR = path.join(__dirname, "../../reports");
+
+// Recorded contract -> events the indexer stores
+const INDEXED_EVENTS = {
+  CombinedVault: ["Deposited", "Withdrawn", "Harvested", "PerformanceFeeCollected"],
+  VirtualVault: ["VirtualDeposit", "VirtualWithdraw", "DepositFailed"],
+  ProtocolRegistry: ["ProtocolRegistered", "AdapterRegistered", "ActiveProtocolReplaced"],
+  YieldOptimizer: ["OptimizedYield"]
+};
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS events (
+    id INTEGER PRIMARY KEY,
+    block_number INTEGER NOT NULL,
+    block_hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL,
+    contract TEXT NOT NULL,
+    address TEXT NOT NULL,
+    event TEXT NOT NULL,
+    user TEXT,
+    args TEXT NOT NULL,
+    confirmed INTEGER NOT NULL DEFAULT 0,
+    UNIQUE (tx_hash, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS events_user ON events (user, block_number);
+  CREATE INDEX IF NOT EXISTS events_event ON events (event, block_number);
+  CREATE INDEX IF NOT EXISTS events_block ON events (block_number);
+  -- Hashes of the indexed blocks that are not confirmed yet, to detect reorgs
+  CREATE TABLE IF NOT EXISTS blocks (
+    number INTEGER PRIMARY KEY,
+    hash TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+`;
+
+function defaultDbPath(networkName) {
+  return path.join(REPORTS_DIR, networkName, "events.sqlite");
+}
+
+// better-sqlite3 is a native addon; it is only loaded here so the config and other tasks work without it
+function openIndexDb(file) {
+  const Database = require("better-sqlite3");
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.exec(SCHEMA);
+  return db;
+}
+
+function getMeta(db, key) {
+  const row = db.prepare("SELECT value FROM meta WHERE key = ?").get(key);
+  return row ? JSON.parse(row.value) : null;
+}
+
+function setMeta(db, key, value) {
+  db.prepare("INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value")
+    .run(key, JSON.stringify(value));
+}
+
+// The recorded contracts to index, with their interfaces; contracts missing from the record are skipped
+async function loadSources(hre) {
+  const record = readDeployments(hre.network.name);
+  const sources = [];
+  const missing = [];
+  for (const [name, events] of Object.entries(INDEXED_EVENTS)) {
+    const entry = record.contracts[name];
+    if (!entry) {
+      missing.push(name);
+      continue;
+    }
+    const contract = await hre.ethers.getContractAt(entry.contractName || name, entry.address);
+    sources.push({ name, address: entry.address, interface: contract.interface, events, deployedAt: entry.blockNumber || 0 });
+  }
+  if (sources.length === 0) {
+    throw new Error(`None of ${Object.keys(INDEXED_EVENTS).join(", ")} is recorded in deployments/${hre.network.name}.json`);
+  }
+  return { sources, missing };
+}
+
+// One eth_getLogs filter per source: its address and any of its indexed event topics
+function logFilter(source, range) {
+  const topics = source.events.map((event) => source.interface.getEventTopic(event));
+  return { address: source.address, topics: [topics], ...range };
+}
+
+function decodeLog(source, log) {
+  const parsed = source.interface.parseLog(log);
+  const args = Object.fromEntries(parsed.eventFragment.inputs.map((input, i) => [input.name, toPlain(parsed.args[i])]));
+  return { event: parsed.name, args, user: args.user || null };
+}
+
+// Backfills and tails the sources into the database. Blocks more than `confirmations` behind the head
+// are final; newer ones are indexed as unconfirmed, their hashes kept, and everything from the first
+// block whose hash changed is deleted and indexed again.
+function createIndexer({ db, provider, sources, confirmations = 12, batchSize = 2000, startBlock = 0, log = console.log }) {
+  const insertEvent = db.prepare(`
+    INSERT OR REPLACE INTO events (block_number, block_hash, timestamp, tx_hash, log_index, contract, address, event, user, args, confirmed)
+    VALUES (@blockNumber, @blockHash, @timestamp, @txHash, @logIndex, @contract, @address, @event, @user, @args, @confirmed)
+  `);
+  const timestamps = new Map();
+
+  async function blockTimestamp(blockHash) {
+    if (!timestamps.has(blockHash)) {
+      timestamps.set(blockHash, (await provider.getBlock(blockHash)).timestamp);
+    }
+    return timestamps.get(blockHash);
+  }
+
+  // Decoded rows for the sources' logs matching the range ({ fromBlock, toBlock } or { blockHash })
+  async function fetchRows(range, confirmed) {
+    const rows = [];
+    for (const source of sources) {
+      const logs = await provider.getLogs(logFilter(source, range));
+      for (const entry of logs) {
+        const { event, args, user } = decodeLog(source, entry);
+        rows.push({
+          blockNumber: entry.blockNumber,
+          blockHash: entry.blockHash,
+          timestamp: await blockTimestamp(entry.blockHash),
+          txHash: entry.transactionHash,
+          logIndex: entry.logIndex,
+          contract: source.name,
+          address: source.address,
+          event,
+          user,
+          args: JSON.stringify(args),
+          confirmed: confirmed ? 1 : 0
+        });
+      }
+    }
+    return rows;
+  }
+
+  const lastIndexed = () => {
+    const value = getMeta(db, "lastIndexedBlock");
+    return value === null ? startBlock - 1 : value;
+  };
+
+  // Compare the stored hashes of unconfirmed blocks with the chain; roll back from the first that changed
+  async function checkReorg() {
+    const stored = db.prepare("SELECT number, hash FROM blocks ORDER BY number").all();
+    for (const { number, hash } of stored) {
+      const block = await provider.getBlock(number);
+      if (!block || block.hash !== hash) {
+        const removed = db.transaction(() => {
+          const { changes } = db.prepare("DELETE FROM events WHERE block_number >= ?").run(number);
+          db.prepare("DELETE FROM blocks WHERE number >= ?").run(number);
+          setMeta(db, "lastIndexedBlock", number - 1);
+          return changes;
+        })();
+        log(`⚠️ Reorg at block ${number}: removed ${removed} unconfirmed events, reindexing from there`);
+        return { block: number, removedEvents: removed };
+      }
+    }
+    return null;
+  }
+
+  // One pass: roll back a reorg if there was one, index up to the head and confirm what is old enough
+  async function poll() {
+    timestamps.clear();
+    const reorg = await checkReorg();
+    const head = await provider.getBlockNumber();
+    const safe = head - confirmations;
+    let from = lastIndexed() + 1;
+    let indexed = 0;
+
+    // Final ranges in batches; each batch commits on its own so a long backfill can resume
+    while (from <= safe) {
+      const to = Math.min(from + batchSize - 1, safe);
+      const rows = await fetchRows({ fromBlock: from, toBlock: to }, true);
+      db.transaction(() => {
+        rows.forEach((row) => insertEvent.run(row));
+        setMeta(db, "lastIndexedBlock", to);
+      })();
+      indexed += rows.length;
+      log(`  Blocks ${from}-${to}: ${rows.length} events`);
+      from = to + 1;
+    }
+
+    // Unconfirmed blocks one at a time, by hash, so the rows and the stored hash always agree
+    for (let number = Math.max(from, safe + 1); number <= head; number++) {
+      const block = await provider.getBlock(number);
+      if (!block) {
+        break; // the head moved back while polling; the next poll's reorg check picks it up
+      }
+      const rows = await fetchRows({ blockHash: block.hash }, false);
+      db.transaction(() => {
+        rows.forEach((row) => insertEvent.run(row));
+        db.prepare("INSERT OR REPLACE INTO blocks (number, hash) VALUES (?, ?)").run(number, block.hash);
+        setMeta(db, "lastIndexedBlock", number);
+      })();
+      indexed += rows.length;
+    }
+
+    const confirmed = db.transaction(() => {
+      const { changes } = db.prepare("UPDATE events SET confirmed = 1 WHERE confirmed = 0 AND block_number <= ?").run(safe);
+      db.prepare("DELETE FROM blocks WHERE number <= ?").run(safe);
+      setMeta(db, "confirmedThroughBlock", Math.min(safe, lastIndexed()));
+      return changes;
+    })();
+
+    return { head, safe, lastIndexed: lastIndexed(), indexed, confirmed, reorg };
+  }
+
+  return { poll, checkReorg };
+}
+
+// Stored events, oldest first, filtered by user, event name and block range
+function queryEvents(db, { user, event, fromBlock, toBlock, confirmedOnly = false, limit } = {}) {
+  const clauses = [];
+  const params = {};
+  if (user) {
+    // Rows keep the checksummed address the event decoded to
+    clauses.push("user = @user");
+    params.user = ethers.utils.getAddress(user);
+  }
+  if (event) {
+    clauses.push("event = @event");
+    params.event = event;
+  }
+  if (fromBlock !== undefined) {
+    clauses.push("block_number >= @fromBlock");
+    params.fromBlock = fromBlock;
+  }
+  if (toBlock !== undefined) {
+    clauses.push("block_number <= @toBlock");
+    params.toBlock = toBlock;
+  }
+  if (confirmedOnly) {
+    clauses.push("confirmed = 1");
+  }
+  const where = clauses.length > 0 ? `WHERE ${clauses.join(" AND ")}` : "";
+  // The most recent `limit` events, returned oldest first
+  const sql = `SELECT * FROM (SELECT * FROM events ${where} ORDER BY block_number DESC, log_index DESC${limit ? " LIMIT @limit" : ""}) ORDER BY block_number, log_index`;
+  if (limit) {
+    params.limit = limit;
+  }
+  return db.prepare(sql).all(params).map((row) => ({ ...row, args: JSON.parse(row.args), confirmed: row.confirmed === 1 }));
+}
+
+module.exports = {
+  INDEXED_EVENTS,
+  defaultDbPath,
+  openIndexDb,
+  getMeta,
+  loadSources,
+  createIndexer,
+  queryEvents
+};
@@ -0,0 +1,270 @@
+// scripts/utils/manifest.js
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const { ethers } = require("ethers");
+const { loadNetworkConfig } = require("./networkConfig");
+
+const MANIFEST_DIR = path.join(__dirname, "../../config/manifests");
+const MANIFEST_EXTENSIONS = [".yaml", ".yml", ".json"];
+const MAX_PERFORMANCE_FEE_BPS = 1000; // CombinedVault rejects anything above 10%
+
+// Default manifest location for a network, if one exists
+function findManifest(networkName) {
+  for (const extension of MANIFEST_EXTENSIONS) {
+    const filePath = path.join(MANIFEST_DIR, `${networkName}${extension}`);
+    if (fs.existsSync(filePath)) {
+      return filePath;
+    }
+  }
+  return null;
+}
+
+function parseManifestFile(filePath) {
+  const content = fs.readFileSync(filePath, "utf8");
+  return path.extname(filePath) === ".json" ? JSON.parse(content) : yaml.load(content);
+}
+
+// Replace "${tokens.USDC}"-style strings with values from the network config,
+// so addresses stay in config/networks and the manifest only describes the topology
+function interpolate(value, networkConfig, errors, field) {
+  if (Array.isArray(value)) {
+    return value.map((item, i) => interpolate(item, networkConfig, errors, `${field}[${i}]`));
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, interpolate(item, networkConfig, errors, `${field}.${key}`)])
+    );
+  }
+  if (typeof value !== "string") {
+    return value;
+  }
+
+  return value.replace(/\$\{([^}]+)\}/g, (match, reference) => {
+    const resolved = reference.split(".").reduce((node, key) => (node == null ? undefined : node[key]), networkConfig);
+    if (resolved === undefined || typeof resolved === "object") {
+      errors.push(`${field} references unknown network config value ${match}`);
+      return match;
+    }
+    return String(resolved);
+  });
+}
+
+// The manifest implied by config/networks/<network>.json: every protocol active, 10% fee, deployer as treasury
+function manifestFromNetworkConfig(networkConfig) {
+  const protocols = Object.values(networkConfig.protocols);
+  return {
+    asset: networkConfig.tokens.USDC,
+    treasury: "deployer",
+    performanceFeeBps: 1000,
+    protocols: protocols.map((protocol) => ({
+      id: protocol.id,
+      name: protocol.name,
+      adapter: protocol.adapter,
+      initializerArgs: [protocol.pool],
+      assets: Object.entries(protocol.receiptTokens).map(([symbol, receiptToken]) => ({
+        asset: networkConfig.tokens[symbol],
+        receiptToken
+      }))
+    })),
+    activeProtocols: protocols.map((protocol) => protocol.id)
+  };
+}
+
+function checkAddress(errors, field, value) {
+  if (typeof value !== "string" || value.trim() === "") {
+    errors.push(`${field} is empty`);
+  } else if (!ethers.utils.isAddress(value)) {
+    errors.push(`${field} is not a valid address: "${value}"`);
+  }
+}
+
+function validateManifest(source, manifest) {
+  const errors = [];
+
+  checkAddress(errors, "asset", manifest.asset);
+  if (manifest.treasury !== "deployer") {
+    checkAddress(errors, "treasury", manifest.treasury);
+  }
+  if (!Number.isInteger(manifest.performanceFeeBps) ||
+      manifest.performanceFeeBps < 0 ||
+      manifest.performanceFeeBps > MAX_PERFORMANCE_FEE_BPS) {
+    errors.push(`performanceFeeBps must be an integer between 0 and ${MAX_PERFORMANCE_FEE_BPS}`);
+  }
+
+  const protocols = Array.isArray(manifest.protocols) ? manifest.protocols : [];
+  if (protocols.length === 0) {
+    errors.push("protocols must list at least one protocol");
+  }
+
+  const seenIds = new Set();
+  const seenNames = new Set();
+  protocols.forEach((protocol, i) => {
+    const prefix = `protocols[${i}]`;
+    if (!Number.isInteger(protocol.id) || protocol.id <= 0) {
+      errors.push(`${prefix}.id must be a positive integer`);
+    } else if (seenIds.has(protocol.id)) {
+      errors.push(`${prefix}.id ${protocol.id} is used by another protocol`);
+    } else {
+      seenIds.add(protocol.id);
+    }
+    if (typeof protocol.name !== "string" || protocol.name.trim() === "") {
+      errors.push(`${prefix}.name is empty`);
+    }
+    if (typeof protocol.adapter !== "string" || protocol.adapter.trim() === "") {
+      errors.push(`${prefix}.adapter is empty`);
+    }
+
+    const deploymentName = protocol.deploymentName || protocol.adapter;
+    if (seenNames.has(deploymentName)) {
+      errors.push(`${prefix} deploys ${deploymentName} twice; set deploymentName to tell them apart`);
+    }
+    seenNames.add(deploymentName);
+
+    if (!Array.isArray(protocol.initializerArgs)) {
+      errors.push(`${prefix}.initializerArgs must be a list`);
+    }
+
+    const assets = Array.isArray(protocol.assets) ? protocol.assets : [];
+    if (assets.length === 0) {
+      errors.push(`${prefix}.assets must list at least one asset`);
+    }
+    assets.forEach((entry, j) => {
+      checkAddress(errors, `${prefix}.assets[${j}].asset`, entry.asset);
+      checkAddress(errors, `${prefix}.assets[${j}].receiptToken`, entry.receiptToken);
+    });
+    if (ethers.utils.isAddress(manifest.asset || "") &&
+        !assets.some((entry) => String(entry.asset).toLowerCase() === manifest.asset.toLowerCase())) {
+      errors.push(`${prefix} does not support the vault asset ${manifest.asset}`);
+    }
+  });
+
+  const activeProtocols = Array.isArray(manifest.activeProtocols) ? manifest.activeProtocols : [];
+  if (activeProtocols.length === 0) {
+    errors.push("activeProtocols must list at least one protocol id");
+  }
+  for (const id of activeProtocols) {
+    if (!seenIds.has(id)) {
+      errors.push(`activeProtocols entry ${id} is not one of the manifest's protocols`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid deployment manifest ${source}:\n${errors.map((e) => `  - ${e}`).join("\n")}`);
+  }
+}
+
+// Load the manifest for the active network: an explicit file, config/manifests/<network>.{yaml,yml,json},
+// or the one implied by the network config when neither exists
+function loadManifest(hre, filePath = process.env.DEPLOY_MANIFEST) {
+  const networkConfig = loadNetworkConfig(hre);
+  const manifestFile = filePath ? path.resolve(filePath) : findManifest(networkConfig.network);
+
+  if (!manifestFile) {
+    const manifest = manifestFromNetworkConfig(networkConfig);
+    validateManifest(`derived from config/networks/${networkConfig.network}.json`, manifest);
+    return { source: null, ...manifest };
+  }
+  if (!fs.existsSync(manifestFile)) {
+    throw new Error(`Deployment manifest not found: ${manifestFile}`);
+  }
+
+  const errors = [];
+  const manifest = interpolate(parseManifestFile(manifestFile), networkConfig, errors, "manifest");
+  if (errors.length > 0) {
+    throw new Error(`Invalid deployment manifest ${manifestFile}:\n${errors.map((e) => `  - ${e}`).join("\n")}`);
+  }
+  validateManifest(manifestFile, manifest);
+
+  return { source: manifestFile, ...manifest };
+}
+
+// Placeholders resolved when the action runs
+const deployed = (name) => ({ deployed: name });
+const DEPLOYER = { signer: "deployer" };
+
+// Turn a manifest into the ordered deploy + configure actions for the upgradeable stack.
+// Each action is plain data; scripts/utils/deployEngine.js executes it and checks whether it already happened.
+function planDeployment(manifest) {
+  const actions = [];
+  const protocols = manifest.protocols.map((protocol) => ({
+    ...protocol,
+    deploymentName: protocol.deploymentName || protocol.adapter
+  }));
+
+  const deploy = (name, contract, args, options = {}) => actions.push({
+    id: `deploy:${name}`,
+    description: `Deploy ${name} Proxy`,
+    type: "deploy",
+    name,
+    contract,
+    args,
+    unsafeAllow: options.unsafeAllow || []
+  });
+  const call = (id, description, target, method, args) => actions.push({
+    id,
+    description,
+    type: "call",
+    target,
+    method,
+    args
+  });
+
+  deploy("ProtocolRegistry", "ProtocolRegistry", []);
+  for (const protocol of protocols) {
+    deploy(protocol.deploymentName, protocol.adapter, protocol.initializerArgs);
+  }
+
+  for (const protocol of protocols) {
+    call(`registerProtocol:${protocol.id}`, `Register ${protocol.name} Protocol`,
+      "ProtocolRegistry", "registerProtocol", [protocol.id, protocol.name]);
+  }
+  for (const protocol of protocols) {
+    for (const { asset, receiptToken } of protocol.assets) {
+      call(`addSupportedAsset:${protocol.deploymentName}:${asset}`, `Configure ${protocol.deploymentName} for ${asset}`,
+        protocol.deploymentName, "addSupportedAsset", [asset, receiptToken]);
+    }
+  }
+  for (const protocol of protocols) {
+    for (const { asset } of protocol.assets) {
+      call(`registerAdapter:${protocol.id}:${asset}`, `Register ${protocol.deploymentName} for ${asset}`,
+        "ProtocolRegistry", "registerAdapter", [protocol.id, asset, deployed(protocol.deploymentName)]);
+    }
+  }
+
+  deploy("CombinedVault", "CombinedVault", [
+    manifest.asset,
+    deployed("ProtocolRegistry"),
+    manifest.treasury === "deployer" ? DEPLOYER : manifest.treasury,
+    manifest.performanceFeeBps
+  ], { unsafeAllow: ["constructor"] }); // Allow constructor for payable functionality
+  deploy("VirtualVault", "VirtualVault", [manifest.asset, deployed("CombinedVault")], {
+    unsafeAllow: ["constructor"]
+  });
+
+  call("setAuthorizedCaller:ProtocolRegistry", "Set Authorized Caller in Registry",
+    "ProtocolRegistry", "setAuthorizedCaller", [deployed("CombinedVault")]);
+  for (const protocol of protocols) {
+    call(`setAuthorizedCaller:${protocol.deploymentName}`, `Set Authorized Caller in ${protocol.deploymentName}`,
+      protocol.deploymentName, "setAuthorizedCaller", [deployed("CombinedVault")]);
+  }
+  for (const id of manifest.activeProtocols) {
+    const protocol = protocols.find((p) => p.id === id);
+    call(`addActiveProtocol:${id}`, `Add ${protocol.name} as Active Protocol`,
+      "CombinedVault", "addActiveProtocol", [id]);
+  }
+
+  call("setAuthorizedCaller:VirtualVault", "Set Authorized Caller in VirtualVault",
+    "VirtualVault", "setAuthorizedCaller", [deployed("CombinedVault")]);
+  call("setVirtualVault:CombinedVault", "Set VirtualVault in CombinedVault",
+    "CombinedVault", "setVirtualVault", [deployed("VirtualVault")]);
+
+  return actions;
+}
+
+module.exports = {
+  loadManifest,
+  validateManifest,
+  manifestFromNetworkConfig,
+  planDeployment
+};
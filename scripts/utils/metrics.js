@@ -0,0 +1,247 @@
+// scripts/utils/metrics.js
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { getDeployment } = require("./deployments");
+const { loadNetworkConfig, hasNetworkConfig } = require("./networkConfig");
+const { formatTable } = require("./table");
+
+const REPORTS_DIR = path.join(__dirname, "../../reports");
+const ERC20_ABI = ["function decimals() view returns (uint8)", "function symbol() view returns (string)"];
+// getTimeSinceLastHarvest is not part of IProtocolAdapter; adapters without it record null
+const ADAPTER_ABI = [
+  "function getAPY(address asset) view returns (uint256)",
+  "function getBalance(address asset) view returns (uint256)",
+  "function getTotalPrincipal(address asset) view returns (uint256)",
+  "function getEstimatedInterest(address asset) view returns (uint256)",
+  "function getTimeSinceLastHarvest(address asset) view returns (uint256)"
+];
+const ADAPTER_METRICS = ["getAPY", "getBalance", "getTotalPrincipal", "getEstimatedInterest", "getTimeSinceLastHarvest"];
+
+// The store for a network: one JSON line per snapshot, in block order
+function defaultStorePath(networkName) {
+  return path.join(REPORTS_DIR, networkName, "metrics.jsonl");
+}
+
+// A view call that reverts (missing function, unsupported asset) records null instead of failing the snapshot
+async function optional(call) {
+  try {
+    return (await call()).toString();
+  } catch (error) {
+    if (error.code !== "CALL_EXCEPTION") {
+      throw error;
+    }
+    return null;
+  }
+}
+
+// The adapter getters for one asset, as decimal strings. They are called from the vault's address because
+// the adapters compute interest from msg.sender's receipt-token balance, which the vault holds.
+async function readAdapterMetrics(provider, adapterAddress, asset, { blockTag, vault }) {
+  const adapter = new ethers.Contract(adapterAddress, ADAPTER_ABI, provider);
+  const overrides = { blockTag, from: vault };
+  const values = await Promise.all(ADAPTER_METRICS.map((method) => optional(() => adapter[method](asset, overrides))));
+  const [apy, balance, totalPrincipal, estimatedInterest, timeSinceLastHarvest] = values;
+  return { apy, balance, totalPrincipal, estimatedInterest, timeSinceLastHarvest };
+}
+
+// Assets to look up adapters for: the vault's asset plus the tokens in config/networks/<network>.json
+async function listAssets(hre, vaultAsset) {
+  const addresses = [vaultAsset];
+  if (hasNetworkConfig(hre.network.name)) {
+    addresses.push(...Object.values(loadNetworkConfig(hre).tokens));
+  }
+  const unique = [...new Set(addresses.map((address) => ethers.utils.getAddress(address)))];
+  const assets = [];
+  for (const address of unique) {
+    const token = new ethers.Contract(address, ERC20_ABI, hre.ethers.provider);
+    const [decimals, symbol] = await Promise.all([token.decimals(), token.symbol()]);
+    assets.push({ address, decimals, symbol });
+  }
+  return assets;
+}
+
+// Every adapter metric for every protocol/asset pair in the registry, plus the vault's totals, at one block
+async function collectSnapshot(hre) {
+  const block = await hre.ethers.provider.getBlock("latest");
+  const overrides = { blockTag: block.number };
+  const registry = await hre.ethers.getContractAt("ProtocolRegistry", getDeployment(hre, "ProtocolRegistry").address);
+  const vault = await hre.ethers.getContractAt("CombinedVault", getDeployment(hre, "CombinedVault").address);
+  const vaultAsset = await vault.asset();
+  const assets = await listAssets(hre, vaultAsset);
+
+  const [protocolIds, activeIds, totalAssets, redemptionRate] = await Promise.all([
+    registry.getAllProtocolIds(overrides),
+    registry.getActiveProtocolIds(overrides),
+    vault.totalAssets(overrides),
+    vault.getRedemptionRate(overrides)
+  ]);
+  const active = activeIds.map(String);
+
+  const protocols = [];
+  for (const id of protocolIds) {
+    const name = await registry.getProtocolName(id, overrides);
+    for (const asset of assets) {
+      if (!(await registry.hasAdapter(id, asset.address, overrides))) {
+        continue;
+      }
+      const adapter = await registry.getAdapter(id, asset.address, overrides);
+      protocols.push({
+        id: id.toString(),
+        name,
+        active: active.includes(id.toString()),
+        asset: asset.symbol,
+        adapter,
+        ...(await readAdapterMetrics(hre.ethers.provider, adapter, asset.address, { blockTag: block.number, vault: vault.address }))
+      });
+    }
+  }
+
+  return {
+    network: hre.network.name,
+    block: block.number,
+    timestamp: block.timestamp,
+    assets: Object.fromEntries(assets.map((asset) => [asset.symbol, { address: asset.address, decimals: asset.decimals }])),
+    vault: {
+      address: vault.address,
+      asset: assets.find((asset) => asset.address === ethers.utils.getAddress(vaultAsset)).symbol,
+      totalAssets: totalAssets.toString(),
+      redemptionRate: redemptionRate.toString()
+    },
+    protocols
+  };
+}
+
+function readSnapshots(file) {
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+  return fs.readFileSync(file, "utf8")
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line, i) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`${file} line ${i + 1} is not valid JSON: ${error.message}`);
+      }
+    });
+}
+
+// Append unless the store already has a snapshot of that block; returns whether it was written
+function appendSnapshot(file, snapshot) {
+  if (readSnapshots(file).some((existing) => existing.block === snapshot.block)) {
+    return false;
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, JSON.stringify(snapshot) + "\n");
+  return true;
+}
+
+// --from/--to: a block number, or anything Date.parse accepts (compared with the block timestamp)
+function parseBound(value, name) {
+  if (value === undefined) {
+    return null;
+  }
+  if (/^\d+$/.test(value)) {
+    return { block: Number(value) };
+  }
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`--${name} must be a block number or a date, got "${value}"`);
+  }
+  return { timestamp: Math.floor(time / 1000) };
+}
+
+function inRange(snapshot, from, to) {
+  const after = (bound) => (bound.block !== undefined ? snapshot.block >= bound.block : snapshot.timestamp >= bound.timestamp);
+  const before = (bound) => (bound.block !== undefined ? snapshot.block <= bound.block : snapshot.timestamp <= bound.timestamp);
+  return (!from || after(from)) && (!to || before(to));
+}
+
+function selectSnapshots(snapshots, { from, to } = {}) {
+  const fromBound = parseBound(from, "from");
+  const toBound = parseBound(to, "to");
+  return snapshots
+    .filter((snapshot) => inRange(snapshot, fromBound, toBound))
+    .sort((a, b) => a.block - b.block);
+}
+
+const formatTime = (timestamp) => new Date(timestamp * 1000).toISOString().replace(".000Z", "Z");
+const formatApy = (apy) => (apy === null ? "-" : `${(Number(apy) / 100).toFixed(2)}%`);
+const formatAmount = (snapshot, symbol, amount) => (
+  amount === null ? "-" : `${ethers.utils.formatUnits(amount, snapshot.assets[symbol].decimals)} ${symbol}`
+);
+const formatAge = (seconds) => {
+  if (seconds === null) {
+    return "-";
+  }
+  const total = Number(seconds);
+  return total === 0 ? "never" : `${Math.floor(total / 3600)}h ${Math.floor((total % 3600) / 60)}m`;
+};
+const percentChange = (from, to) => {
+  if (from.isZero()) {
+    return "-";
+  }
+  const ppm = to.sub(from).mul(1000000).div(from).toNumber();
+  return `${ppm >= 0 ? "+" : ""}${(ppm / 10000).toFixed(4)}%`;
+};
+
+// Share price (redemption rate), TVL and per-protocol APY and balance over the selected snapshots
+function formatMetricsReport(snapshots) {
+  if (snapshots.length === 0) {
+    return "No snapshots in range.";
+  }
+  const first = snapshots[0];
+  const last = snapshots[snapshots.length - 1];
+  const lines = [
+    `${snapshots.length} snapshots, block ${first.block} (${formatTime(first.timestamp)}) to ${last.block} (${formatTime(last.timestamp)})`,
+    "",
+    "Vault",
+    formatTable(["BLOCK", "TIME", "TVL", "SHARE PRICE", "SHARE PRICE CHANGE"], snapshots.map((snapshot) => [
+      snapshot.block,
+      formatTime(snapshot.timestamp),
+      formatAmount(snapshot, snapshot.vault.asset, snapshot.vault.totalAssets),
+      ethers.utils.formatEther(snapshot.vault.redemptionRate),
+      percentChange(ethers.BigNumber.from(first.vault.redemptionRate), ethers.BigNumber.from(snapshot.vault.redemptionRate))
+    ]))
+  ];
+
+  // One table per protocol/asset pair seen anywhere in the range; pairs missing from a snapshot show "-"
+  const pairs = new Map();
+  for (const snapshot of snapshots) {
+    for (const protocol of snapshot.protocols) {
+      pairs.set(`${protocol.id}/${protocol.asset}`, protocol);
+    }
+  }
+  for (const [key, { id, name, asset }] of pairs) {
+    const rows = snapshots.map((snapshot) => {
+      const entry = snapshot.protocols.find((protocol) => `${protocol.id}/${protocol.asset}` === key);
+      if (!entry) {
+        return [snapshot.block, formatTime(snapshot.timestamp), "-", "-", "-", "-", "-", "-"];
+      }
+      return [
+        snapshot.block,
+        formatTime(snapshot.timestamp),
+        entry.active ? "yes" : "",
+        formatApy(entry.apy),
+        formatAmount(snapshot, asset, entry.balance),
+        formatAmount(snapshot, asset, entry.totalPrincipal),
+        formatAmount(snapshot, asset, entry.estimatedInterest),
+        formatAge(entry.timeSinceLastHarvest)
+      ];
+    });
+    lines.push("", `${name} (protocol ${id}, ${asset})`, formatTable(["BLOCK", "TIME", "ACTIVE", "APY", "TVL", "PRINCIPAL", "EST. INTEREST", "SINCE HARVEST"], rows));
+  }
+  return lines.join("\n");
+}
+
+module.exports = {
+  defaultStorePath,
+  collectSnapshot,
+  readAdapterMetrics,
+  readSnapshots,
+  appendSnapshot,
+  selectSnapshots,
+  formatMetricsReport
+};
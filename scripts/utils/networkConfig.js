@@ -0,0 +1,158 @@
+// scripts/utils/networkConfig.js
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const CONFIG_DIR = path.join(__dirname, "../../config/networks");
+
+// Rollup stacks whose L1 data fee can be read from a fee oracle precompile
+const ROLLUPS = ["op-stack", "scroll"];
+
+// Read a raw config file, following "extends" so forks can reuse their parent's addresses
+function readConfigFile(networkName, seen = []) {
+  if (seen.includes(networkName)) {
+    throw new Error(`Circular "extends" in network configs: ${[...seen, networkName].join(" -> ")}`);
+  }
+
+  const configPath = path.join(CONFIG_DIR, `${networkName}.json`);
+  if (!fs.existsSync(configPath)) {
+    throw new Error(`No network config found for "${networkName}" (expected ${configPath})`);
+  }
+
+  const raw = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  if (!raw.extends) {
+    return raw;
+  }
+
+  const { extends: parentName, ...overrides } = raw;
+  const parent = readConfigFile(parentName, [...seen, networkName]);
+  return {
+    ...parent,
+    ...overrides,
+    tokens: { ...parent.tokens, ...overrides.tokens },
+    protocols: { ...parent.protocols, ...overrides.protocols }
+  };
+}
+
+// Collect every problem with an address field instead of stopping at the first one
+function checkAddress(errors, field, value) {
+  if (typeof value !== "string" || value.trim() === "") {
+    errors.push(`${field} is empty`);
+  } else if (!ethers.utils.isAddress(value)) {
+    errors.push(`${field} is not a valid address: "${value}"`);
+  }
+}
+
+function validateNetworkConfig(networkName, config) {
+  const errors = [];
+
+  if (!Number.isInteger(config.chainId)) {
+    errors.push("chainId must be an integer");
+  }
+
+  if (config.rollup !== undefined && !ROLLUPS.includes(config.rollup)) {
+    errors.push(`rollup must be one of ${ROLLUPS.join(", ")}`);
+  }
+
+  if (!config.tokens || typeof config.tokens !== "object" || Object.keys(config.tokens).length === 0) {
+    errors.push("tokens must list at least one token");
+  } else {
+    for (const [symbol, address] of Object.entries(config.tokens)) {
+      checkAddress(errors, `tokens.${symbol}`, address);
+    }
+  }
+
+  if (!config.protocols || typeof config.protocols !== "object") {
+    errors.push("protocols must be an object");
+  } else {
+    const seenIds = new Set();
+    for (const [key, protocol] of Object.entries(config.protocols)) {
+      const prefix = `protocols.${key}`;
+      if (!Number.isInteger(protocol.id) || protocol.id <= 0) {
+        errors.push(`${prefix}.id must be a positive integer`);
+      } else if (seenIds.has(protocol.id)) {
+        errors.push(`${prefix}.id ${protocol.id} is used by another protocol`);
+      } else {
+        seenIds.add(protocol.id);
+      }
+      if (typeof protocol.name !== "string" || protocol.name.trim() === "") {
+        errors.push(`${prefix}.name is empty`);
+      }
+      if (typeof protocol.adapter !== "string" || protocol.adapter.trim() === "") {
+        errors.push(`${prefix}.adapter is empty`);
+      }
+      checkAddress(errors, `${prefix}.pool`, protocol.pool);
+
+      const receiptTokens = protocol.receiptTokens || {};
+      if (Object.keys(receiptTokens).length === 0) {
+        errors.push(`${prefix}.receiptTokens must list at least one asset`);
+      }
+      for (const [symbol, address] of Object.entries(receiptTokens)) {
+        if (config.tokens && !(symbol in config.tokens)) {
+          errors.push(`${prefix}.receiptTokens.${symbol} has no matching entry in tokens`);
+        }
+        checkAddress(errors, `${prefix}.receiptTokens.${symbol}`, address);
+      }
+    }
+  }
+
+  if (config.gas !== undefined) {
+    const { multiplier, maxFeePerGasGwei, maxPriorityFeePerGasGwei } = config.gas;
+    if (multiplier !== undefined && !(typeof multiplier === "number" && multiplier >= 1)) {
+      errors.push("gas.multiplier must be a number >= 1");
+    }
+    for (const [field, value] of Object.entries({ maxFeePerGasGwei, maxPriorityFeePerGasGwei })) {
+      if (value !== undefined && value !== null && !(typeof value === "number" && value > 0)) {
+        errors.push(`gas.${field} must be a positive number`);
+      }
+    }
+  }
+
+  if (config.harvest !== undefined) {
+    const { minIntervalHours, minProfit, nativePrice } = config.harvest;
+    for (const [field, value] of Object.entries({ minIntervalHours, minProfit })) {
+      if (value !== undefined && !(typeof value === "number" && value >= 0)) {
+        errors.push(`harvest.${field} must be a number >= 0`);
+      }
+    }
+    if (nativePrice !== undefined && !(typeof nativePrice === "number" && nativePrice > 0)) {
+      errors.push("harvest.nativePrice must be a positive number");
+    }
+  }
+
+  for (const [symbol, address] of Object.entries(config.mocks || {})) {
+    checkAddress(errors, `mocks.${symbol}`, address);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(
+      `Invalid network config for "${networkName}":\n${errors.map((e) => `  - ${e}`).join("\n")}`
+    );
+  }
+}
+
+// Local networks (hardhat, localhost) have no config file; callers with sensible defaults check first
+function hasNetworkConfig(networkName) {
+  return fs.existsSync(path.join(CONFIG_DIR, `${networkName}.json`));
+}
+
+// Load and validate the config for the network Hardhat is connected to, or another configured network
+function loadNetworkConfig(hre, networkName = hre.network.name) {
+  const config = readConfigFile(networkName);
+  validateNetworkConfig(networkName, config);
+
+  const expectedChainId = hre.config.networks[networkName].chainId;
+  if (expectedChainId !== undefined && expectedChainId !== config.chainId) {
+    throw new Error(
+      `Network config for "${networkName}" has chainId ${config.chainId} but hardhat.config.js expects ${expectedChainId}`
+    );
+  }
+
+  return { network: networkName, ...config };
+}
+
+module.exports = {
+  loadNetworkConfig,
+  hasNetworkConfig,
+  validateNetworkConfig
+};
@@ -0,0 +1,144 @@
+// scripts/utils/optimizer.js
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { getDeployment } = require("./deployments");
+const { formatTable } = require("./table");
+const { toPlain } = require("./vaultOps");
+
+const REPORTS_DIR = path.join(__dirname, "../../reports");
+
+// The recorded YieldOptimizer with the registry and asset it reads from
+async function loadOptimizer(hre) {
+  const optimizer = await hre.ethers.getContractAt("YieldOptimizer", getDeployment(hre, "YieldOptimizer").address);
+  const [registryAddress, asset] = await Promise.all([optimizer.registry(), optimizer.asset()]);
+  const registry = await hre.ethers.getContractAt("ProtocolRegistry", registryAddress);
+  return { optimizer, registry, asset };
+}
+
+// Everything optimizeYield looks at, read at one block so the decision sees a consistent state
+async function readOptimizerState({ optimizer, registry, asset }, blockTag) {
+  const overrides = { blockTag };
+  const [[activeIds, activeApys], allIds, minApyDifference, targetActiveProtocolCount] = await Promise.all([
+    optimizer.getActiveProtocolAPYs(overrides),
+    registry.getAllProtocolIds(overrides),
+    optimizer.minApyDifference(overrides),
+    optimizer.targetActiveProtocolCount(overrides)
+  ]);
+  const active = activeIds.map((id) => id.toString());
+
+  const protocols = [];
+  for (const id of allIds) {
+    const [name, hasAdapter] = await Promise.all([registry.getProtocolName(id, overrides), registry.hasAdapter(id, asset, overrides)]);
+    // getProtocolAPY reverts through registry.getAdapter when the protocol has no adapter for the asset
+    const apy = hasAdapter ? await optimizer.getProtocolAPY(id, overrides) : null;
+    protocols.push({ id: id.toString(), name, hasAdapter, apy, active: active.includes(id.toString()) });
+  }
+
+  return {
+    blockNumber: blockTag,
+    activeIds: active,
+    activeApys: activeApys.map((apy) => apy.toString()),
+    minApyDifference,
+    targetActiveProtocolCount: targetActiveProtocolCount.toNumber(),
+    protocols
+  };
+}
+
+// The selection sort optimizeYield uses. It is not stable, so ties must be ranked exactly the same way
+// for the predicted top N to match the contract's
+function rankProtocols(protocols) {
+  const ranked = [...protocols];
+  for (let i = 0; i < ranked.length; i++) {
+    for (let j = i + 1; j < ranked.length; j++) {
+      if (ranked[j].apy.gt(ranked[i].apy)) {
+        [ranked[i], ranked[j]] = [ranked[j], ranked[i]];
+      }
+    }
+  }
+  return ranked;
+}
+
+// What optimizeYield would do now, and whether it is worth a transaction. The contract keeps the
+// top targetActiveProtocolCount protocols by APY but never reads minApyDifference, so the keeper
+// applies it: a swap only goes ahead when the weakest incoming protocol beats the strongest outgoing
+// one by at least minApyDifference bps (and by at least 1 bp, so ties never churn).
+function decideRotation(state) {
+  const decide = (action, reason, extra = {}) => ({ action, reason, add: [], remove: [], ...extra });
+  const target = state.targetActiveProtocolCount;
+  if (target === 0) {
+    return decide("skip", "targetActiveProtocolCount is 0; optimizeYield would revert");
+  }
+  const withoutAdapter = state.protocols.filter((protocol) => !protocol.hasAdapter);
+  if (withoutAdapter.length > 0) {
+    const ids = withoutAdapter.map((protocol) => protocol.id).join(", ");
+    const subject = withoutAdapter.length === 1 ? `protocol ${ids} has` : `protocols ${ids} have`;
+    return decide("skip", `${subject} no adapter for the asset; optimizeYield would revert with "Adapter not found"`);
+  }
+
+  const ranked = rankProtocols(state.protocols);
+  const add = ranked.slice(0, target).filter((protocol) => !protocol.active);
+  const remove = ranked.slice(target).filter((protocol) => protocol.active);
+  const ranking = ranked.map((protocol) => protocol.id);
+  const expectedActive = [
+    ...state.activeIds.filter((id) => !remove.some((protocol) => protocol.id === id)),
+    ...add.map((protocol) => protocol.id)
+  ];
+  const extra = { add, remove, ranking, expectedActive };
+
+  if (add.length === 0 && remove.length === 0) {
+    return decide("hold", `active protocols are already the top ${target} by APY`, extra);
+  }
+  if (add.length > 0 && remove.length > 0) {
+    const weakestIn = add.reduce((weakest, protocol) => (protocol.apy.lt(weakest.apy) ? protocol : weakest));
+    const strongestOut = remove.reduce((strongest, protocol) => (protocol.apy.gt(strongest.apy) ? protocol : strongest));
+    const gain = weakestIn.apy.sub(strongestOut.apy);
+    const required = state.minApyDifference.gt(1) ? state.minApyDifference : ethers.BigNumber.from(1);
+    if (gain.lt(required)) {
+      return decide("hold", `protocol ${weakestIn.id} beats ${strongestOut.id} by ${gain} bps, below the ${required} bps minimum`, { ...extra, gain });
+    }
+    return decide("rotate", `protocol ${weakestIn.id} beats ${strongestOut.id} by ${gain} bps`, { ...extra, gain });
+  }
+  return add.length > 0
+    ? decide("rotate", `fewer than ${target} protocols active`, extra)
+    : decide("rotate", `more than ${target} protocols active`, extra);
+}
+
+const formatApy = (apy) => (apy ? `${(apy.toNumber() / 100).toFixed(2)}%` : "-");
+
+function formatEvaluation(state, decision) {
+  const rank = (id) => (decision.ranking ? decision.ranking.indexOf(id) + 1 : "-");
+  const rows = state.protocols.map((protocol) => [
+    protocol.id,
+    protocol.name,
+    protocol.hasAdapter ? formatApy(protocol.apy) : "no adapter",
+    protocol.active ? "yes" : "",
+    rank(protocol.id)
+  ]);
+  const icon = { rotate: "🔄", hold: "✅", skip: "⚠️" }[decision.action];
+  return [
+    `Block ${state.blockNumber}: target ${state.targetActiveProtocolCount} active, minApyDifference ${state.minApyDifference} bps`,
+    formatTable(["ID", "NAME", "APY", "ACTIVE", "RANK"], rows),
+    `${icon} ${decision.action}: ${decision.reason}`
+  ].join("\n");
+}
+
+// Append one JSON line per evaluation; defaults to reports/<network>/keeper.jsonl
+function appendDecisionLog(file, entry) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, JSON.stringify(toPlain(entry)) + "\n");
+}
+
+function defaultLogPath(networkName) {
+  return path.join(REPORTS_DIR, networkName, "keeper.jsonl");
+}
+
+module.exports = {
+  loadOptimizer,
+  readOptimizerState,
+  rankProtocols,
+  decideRotation,
+  formatEvaluation,
+  appendDecisionLog,
+  defaultLogPath
+};
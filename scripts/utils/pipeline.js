@@ -0,0 +1,101 @@
+// scripts/utils/pipeline.js
+const fs = require("fs");
+const path = require("path");
+
+const CHECKPOINT_DIR = path.join(__dirname, "../../deployments");
+
+function checkpointPath(networkName, pipelineName) {
+  return path.join(CHECKPOINT_DIR, `${networkName}.${pipelineName}.checkpoint.json`);
+}
+
+function readCheckpoint(filePath) {
+  return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, "utf8")) : null;
+}
+
+function writeCheckpoint(filePath, checkpoint) {
+  if (!fs.existsSync(CHECKPOINT_DIR)) {
+    fs.mkdirSync(CHECKPOINT_DIR, { recursive: true });
+  }
+  fs.writeFileSync(filePath, JSON.stringify(checkpoint, null, 2) + "\n");
+}
+
+// Ordered list of steps that checkpoints to disk after each one. On rerun, every step first asks
+// the chain whether its effect is already in place (isDone) and is skipped if so, so a failed
+// deployment resumes from the first incomplete step instead of starting over.
+function createPipeline(hre, pipelineName, { fresh = false } = {}) {
+  const filePath = checkpointPath(hre.network.name, pipelineName);
+  const previous = fresh ? null : readCheckpoint(filePath);
+
+  const checkpoint = {
+    pipeline: pipelineName,
+    network: hre.network.name,
+    startedAt: previous ? previous.startedAt : new Date().toISOString(),
+    fresh: previous ? previous.fresh : fresh,
+    resumedAt: previous ? new Date().toISOString() : null,
+    steps: previous ? previous.steps : {}
+  };
+
+  if (previous) {
+    const completed = Object.values(previous.steps).filter((s) => s.status !== "failed").length;
+    console.log(`Resuming ${pipelineName} on ${hre.network.name} (${completed} steps checkpointed, started ${previous.startedAt})`);
+  }
+  writeCheckpoint(filePath, checkpoint);
+
+  const steps = [];
+
+  return {
+    checkpoint,
+    checkpointPath: filePath,
+
+    // Register a step: isDone() reads on-chain state, run() performs it
+    step(id, description, { isDone, run }) {
+      steps.push({ id, description, isDone, run });
+    },
+
+    async run() {
+      const summary = { skipped: [], executed: [] };
+
+      for (const step of steps) {
+        if (await step.isDone()) {
+          console.log(`⏭️  ${step.description} (already done on-chain)`);
+          checkpoint.steps[step.id] = {
+            ...(checkpoint.steps[step.id] || {}),
+            status: "done",
+            detectedOnChain: true
+          };
+          summary.skipped.push(step.id);
+          writeCheckpoint(filePath, checkpoint);
+          continue;
+        }
+
+        try {
+          const result = await step.run();
+          checkpoint.steps[step.id] = {
+            status: "done",
+            completedAt: new Date().toISOString(),
+            ...(result && result.txHash ? { txHash: result.txHash } : {})
+          };
+          summary.executed.push(step.id);
+          writeCheckpoint(filePath, checkpoint);
+        } catch (error) {
+          checkpoint.steps[step.id] = {
+            status: "failed",
+            failedAt: new Date().toISOString(),
+            error: error.message
+          };
+          writeCheckpoint(filePath, checkpoint);
+          error.message = `Step "${step.description}" failed: ${error.message}\nRerun the script to resume from this step (checkpoint: ${filePath}).`;
+          throw error;
+        }
+      }
+
+      fs.unlinkSync(filePath);
+      return summary;
+    }
+  };
+}
+
+module.exports = {
+  createPipeline,
+  checkpointPath
+};
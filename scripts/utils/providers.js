@@ -0,0 +1,41 @@
+// scripts/utils/providers.js
+const { ethers } = require("ethers");
+const { NETWORK_ENV } = require("./env");
+
+// One provider per network, created the first time something talks to it
+const providers = new Map();
+
+// Provider for the network Hardhat is connected to, or for another network from hardhat.config.js.
+// Nothing connects at config load, so commands that never touch a network work without any RPC URL set.
+function getProvider(hre, networkName = hre.network.name, { timeoutMs } = {}) {
+  if (networkName === hre.network.name) {
+    return hre.ethers.provider;
+  }
+
+  const network = hre.config.networks[networkName];
+  if (!network) {
+    throw new Error(`Unknown network "${networkName}"; configured networks: ${Object.keys(hre.config.networks).join(", ")}`);
+  }
+  if (!hasRpcUrl(hre, networkName)) {
+    const variable = NETWORK_ENV[networkName] ? NETWORK_ENV[networkName].rpcUrl : "its RPC URL";
+    throw new Error(`Network "${networkName}" has no RPC URL; set ${variable} in .env`);
+  }
+
+  const key = `${networkName}:${timeoutMs || ""}`;
+  if (!providers.has(key)) {
+    const connection = timeoutMs ? { url: network.url, timeout: timeoutMs } : network.url;
+    providers.set(key, new ethers.providers.StaticJsonRpcProvider(connection, network.chainId));
+  }
+  return providers.get(key);
+}
+
+// Whether a network can be reached over JSON-RPC; the in-process hardhat network has no URL
+function hasRpcUrl(hre, networkName) {
+  const network = hre.config.networks[networkName];
+  return Boolean(network && network.url);
+}
+
+module.exports = {
+  getProvider,
+  hasRpcUrl
+};
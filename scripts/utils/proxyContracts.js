@@ -0,0 +1,66 @@
+// scripts/utils/proxyContracts.js
+const { licenseTypeFromSource } = require("./buildInfo");
+const { requireUpgradesCore } = require("./upgradesCore");
+
+const { Manifest } = requireUpgradesCore();
+
+// The proxy contracts are compiled by the upgrades plugin, not by this repo, so their sources
+// and settings come from the build-info bundled with the plugin's copy of @openzeppelin/upgrades-core
+const OZ_ARTIFACTS = "@openzeppelin/upgrades-core/artifacts";
+const PROXY_ARTIFACTS = {
+  TransparentUpgradeableProxy: `${OZ_ARTIFACTS}/@openzeppelin/contracts/proxy/transparent/TransparentUpgradeableProxy.sol/TransparentUpgradeableProxy.json`,
+  ProxyAdmin: `${OZ_ARTIFACTS}/@openzeppelin/contracts/proxy/transparent/ProxyAdmin.sol/ProxyAdmin.json`
+};
+
+// Read .openzeppelin/<network>.json through the plugin so its file naming rules apply
+async function readUpgradesManifest(hre) {
+  const manifest = await Manifest.forNetwork(hre.network.provider);
+  return manifest.read();
+}
+
+// Creation tx of a proxy or admin as recorded by the upgrades plugin
+function findManifestTxHash(manifestData, address) {
+  const lower = address.toLowerCase();
+  if (manifestData.admin && manifestData.admin.address.toLowerCase() === lower) {
+    return manifestData.admin.txHash;
+  }
+  const proxy = manifestData.proxies.find((p) => p.address.toLowerCase() === lower);
+  return proxy ? proxy.txHash : undefined;
+}
+
+// Recover ABI-encoded constructor args by stripping the creation code from the deploy tx input
+async function extractConstructorArguments(hre, artifact, txHash) {
+  const tx = await hre.ethers.provider.getTransaction(txHash);
+  if (!tx) {
+    throw new Error(`Creation transaction ${txHash} not found on ${hre.network.name}`);
+  }
+  const creationCode = artifact.bytecode.toLowerCase();
+  const input = tx.data.toLowerCase();
+  if (!input.startsWith(creationCode)) {
+    throw new Error(`Transaction ${txHash} did not deploy ${artifact.contractName} with the plugin's bytecode`);
+  }
+  return "0x" + input.slice(creationCode.length);
+}
+
+// Everything submitStandardJson needs to verify one of the plugin's proxy contracts
+async function describeProxyContract(hre, contractName, address, txHash) {
+  const artifact = requireUpgradesCore(PROXY_ARTIFACTS[contractName]);
+  const buildInfo = requireUpgradesCore(`${OZ_ARTIFACTS}/build-info.json`);
+  const source = buildInfo.input.sources[artifact.sourceName];
+
+  return {
+    contractName,
+    sourceName: artifact.sourceName,
+    address,
+    input: buildInfo.input,
+    compilerVersion: `v${buildInfo.solcLongVersion}`,
+    licenseType: licenseTypeFromSource(source && source.content),
+    constructorArguments: await extractConstructorArguments(hre, artifact, txHash)
+  };
+}
+
+module.exports = {
+  readUpgradesManifest,
+  findManifestTxHash,
+  describeProxyContract
+};
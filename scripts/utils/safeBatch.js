@@ -0,0 +1,76 @@
+// scripts/utils/safeBatch.js
+const { ethers } = require("ethers");
+
+// ProxyAdmin from OpenZeppelin Contracts 4.x (deployed by hardhat-upgrades 1.x) and 5.x.
+// 5.x only has upgradeAndCall and exposes UPGRADE_INTERFACE_VERSION.
+const PROXY_ADMIN_ABI = [
+  "function owner() view returns (address)",
+  "function UPGRADE_INTERFACE_VERSION() view returns (string)",
+  "function upgrade(address proxy, address implementation)",
+  "function upgradeAndCall(address proxy, address implementation, bytes data) payable"
+];
+
+const UPGRADE_AND_CALL = {
+  name: "upgradeAndCall",
+  payable: true,
+  inputs: [
+    { internalType: "contract ITransparentUpgradeableProxy", name: "proxy", type: "address" },
+    { internalType: "address", name: "implementation", type: "address" },
+    { internalType: "bytes", name: "data", type: "bytes" }
+  ]
+};
+const UPGRADE = {
+  name: "upgrade",
+  payable: false,
+  inputs: UPGRADE_AND_CALL.inputs.slice(0, 2)
+};
+
+async function describeProxyAdmin(provider, adminAddress) {
+  const admin = new ethers.Contract(adminAddress, PROXY_ADMIN_ABI, provider);
+  let interfaceVersion = null;
+  try {
+    interfaceVersion = await admin.UPGRADE_INTERFACE_VERSION();
+  } catch (error) {
+    // 4.x ProxyAdmin: no such getter
+  }
+  return { address: adminAddress, owner: await admin.owner(), interfaceVersion };
+}
+
+// One Transaction Builder entry switching `proxy` to `implementation`. A 4.x ProxyAdmin's
+// upgradeAndCall always delegatecalls, so without init data it has to use upgrade instead.
+function upgradeTransaction(admin, { proxy, implementation, data = "0x" }) {
+  const useUpgradeAndCall = admin.interfaceVersion !== null || data !== "0x";
+  const method = useUpgradeAndCall ? UPGRADE_AND_CALL : UPGRADE;
+  const values = useUpgradeAndCall ? { proxy, implementation, data } : { proxy, implementation };
+
+  return {
+    to: admin.address,
+    value: "0",
+    data: null,
+    contractMethod: method,
+    contractInputsValues: values
+  };
+}
+
+// Batch file for the Safe{Wallet} Transaction Builder "Load batch" import
+function buildSafeBatch({ chainId, safe, name, description, transactions }) {
+  return {
+    version: "1.0",
+    chainId: String(chainId),
+    createdAt: Date.now(),
+    meta: {
+      name,
+      description,
+      txBuilderVersion: "1.16.5",
+      createdFromSafeAddress: safe,
+      createdFromOwnerAddress: ""
+    },
+    transactions
+  };
+}
+
+module.exports = {
+  describeProxyAdmin,
+  upgradeTransaction,
+  buildSafeBatch
+};
@@ -0,0 +1,223 @@
+// scripts/utils/signers.js
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const axios = require("axios");
+const { ethers } = require("ethers");
+const { ProviderWrapper } = require("hardhat/plugins");
+
+const SIGNER_TYPES = ["keystore", "remote"];
+
+// Ask for a secret on the terminal without echoing it
+function promptHidden(question) {
+  if (!process.stdin.isTTY) {
+    return Promise.reject(new Error(`${question.trim()} needs an interactive terminal; set KEYSTORE_PASSWORD instead`));
+  }
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    rl.question(question, (answer) => {
+      rl.close();
+      process.stdout.write("\n");
+      resolve(answer);
+    });
+    rl._writeToOutput = () => {}; // typed characters are not echoed
+    process.stdout.write(question);
+  });
+}
+
+// Hex JSON-RPC quantities and fields of an eth_sendTransaction request as an ethers transaction
+function toTransactionRequest(tx, chainId, nonce) {
+  const quantity = (value) => (value === undefined ? undefined : ethers.BigNumber.from(value));
+  const request = {
+    to: tx.to || undefined,
+    data: tx.data || tx.input || "0x",
+    value: quantity(tx.value) || 0,
+    gasLimit: quantity(tx.gas),
+    nonce: ethers.BigNumber.from(nonce).toNumber(),
+    chainId
+  };
+  if (tx.maxFeePerGas !== undefined) {
+    return { ...request, type: 2, maxFeePerGas: quantity(tx.maxFeePerGas), maxPriorityFeePerGas: quantity(tx.maxPriorityFeePerGas) };
+  }
+  return { ...request, type: 0, gasPrice: quantity(tx.gasPrice) };
+}
+
+// Encrypted JSON keystore: the file is only read on the first account or signing request, so commands
+// that never sign work without it; the key is only decrypted on the first signature
+function keystoreSigner(config) {
+  const file = path.resolve(config.path);
+  let keystore = null;
+  let wallet = null;
+
+  const load = () => {
+    if (!keystore) {
+      if (!fs.existsSync(file)) {
+        throw new Error(`Keystore ${file} not found; create it with npx hardhat create-keystore`);
+      }
+      const json = fs.readFileSync(file, "utf8");
+      keystore = { json, address: ethers.utils.getAddress(JSON.parse(json).address) };
+    }
+    return keystore;
+  };
+
+  const unlock = async () => {
+    if (!wallet) {
+      const { json, address } = load();
+      const password = process.env.KEYSTORE_PASSWORD !== undefined
+        ? process.env.KEYSTORE_PASSWORD
+        : await promptHidden(`Password for keystore ${path.basename(file)} (${address}): `);
+      wallet = ethers.Wallet.fromEncryptedJson(json, password).catch((error) => {
+        wallet = null;
+        throw new Error(`Could not decrypt ${file}: ${error.message}`);
+      });
+    }
+    return wallet;
+  };
+
+  return {
+    description: `keystore ${config.path}`,
+    getAddress: async () => load().address,
+    signTransaction: async (tx) => (await unlock()).signTransaction(tx),
+    signMessage: async (message) => (await unlock()).signMessage(ethers.utils.arrayify(message)),
+    signTypedData: async ({ domain, types, message }) => {
+      const { EIP712Domain, ...messageTypes } = types;
+      return (await unlock())._signTypedData(domain, messageTypes, message);
+    }
+  };
+}
+
+// Remote signer speaking JSON-RPC (eth_accounts, eth_signTransaction, personal_sign, eth_signTypedData_v4),
+// e.g. a local signing daemon. It only signs; transactions are broadcast through the network's own RPC.
+function remoteSigner(config) {
+  let id = 0;
+  const call = async (method, params) => {
+    let response;
+    try {
+      response = await axios.post(config.url, { jsonrpc: "2.0", id: ++id, method, params }, { timeout: config.timeout || 120000 });
+    } catch (error) {
+      throw new Error(`Remote signer at ${config.url} is unreachable (${method}): ${error.message}`);
+    }
+    if (response.data.error) {
+      throw new Error(`Remote signer refused ${method}: ${response.data.error.message}`);
+    }
+    return response.data.result;
+  };
+
+  let address = config.address ? ethers.utils.getAddress(config.address) : null;
+  const getAddress = async () => {
+    if (!address) {
+      const [first] = await call("eth_accounts", []);
+      if (!first) {
+        throw new Error(`Remote signer at ${config.url} has no accounts`);
+      }
+      address = ethers.utils.getAddress(first);
+    }
+    return address;
+  };
+  const hex = (value) => (value === undefined ? undefined : ethers.BigNumber.from(value).toHexString());
+
+  return {
+    description: `remote signer ${config.url}`,
+    getAddress,
+    signTransaction: async (tx) => {
+      const result = await call("eth_signTransaction", [{
+        from: await getAddress(),
+        to: tx.to,
+        data: tx.data,
+        value: hex(tx.value),
+        gas: hex(tx.gasLimit),
+        nonce: hex(tx.nonce),
+        chainId: hex(tx.chainId),
+        type: hex(tx.type),
+        gasPrice: hex(tx.gasPrice),
+        maxFeePerGas: hex(tx.maxFeePerGas),
+        maxPriorityFeePerGas: hex(tx.maxPriorityFeePerGas)
+      }]);
+      // geth-style signers answer { raw, tx }
+      return typeof result === "string" ? result : result.raw;
+    },
+    signMessage: async (message) => call("personal_sign", [message, await getAddress()]),
+    signTypedData: async (typedData) => call("eth_signTypedData_v4", [await getAddress(), JSON.stringify(typedData)])
+  };
+}
+
+function createExternalSigner(config) {
+  if (!SIGNER_TYPES.includes(config.type)) {
+    throw new Error(`Unknown signer type "${config.type}"; expected one of ${SIGNER_TYPES.join(", ")}`);
+  }
+  return config.type === "keystore" ? keystoreSigner(config) : remoteSigner(config);
+}
+
+// Answers account and signing requests with an external signer and broadcasts signed transactions
+// as raw transactions. Sits under Hardhat's own wrappers, so gas, fees and `from` are already filled in.
+class ExternalSignerProvider extends ProviderWrapper {
+  constructor(provider, signer) {
+    super(provider);
+    this._signer = signer;
+  }
+
+  async request(args) {
+    const params = this._getParams(args);
+    switch (args.method) {
+      case "eth_accounts":
+      case "eth_requestAccounts":
+        return [await this._signer.getAddress()];
+      case "eth_sendTransaction":
+        return this._sendTransaction(params[0]);
+      case "eth_signTransaction":
+        return this._signTransaction(params[0]);
+      case "eth_sign":
+        return this._signMessage(params[0], params[1]);
+      case "personal_sign":
+        return this._signMessage(params[1], params[0]);
+      case "eth_signTypedData_v4":
+        await this._assertOwnAccount(params[0]);
+        return this._signer.signTypedData(typeof params[1] === "string" ? JSON.parse(params[1]) : params[1]);
+      default:
+        return this._wrappedProvider.request(args);
+    }
+  }
+
+  async _assertOwnAccount(account) {
+    const address = await this._signer.getAddress();
+    if (account && account.toLowerCase() !== address.toLowerCase()) {
+      throw new Error(`${this._signer.description} can only sign for ${address}, not ${account}`);
+    }
+  }
+
+  async _signMessage(account, message) {
+    await this._assertOwnAccount(account);
+    return this._signer.signMessage(message);
+  }
+
+  async _signTransaction(tx) {
+    await this._assertOwnAccount(tx.from);
+    const address = await this._signer.getAddress();
+    const [chainId, nonce] = await Promise.all([
+      this._wrappedProvider.request({ method: "eth_chainId" }),
+      tx.nonce !== undefined
+        ? tx.nonce
+        : this._wrappedProvider.request({ method: "eth_getTransactionCount", params: [address, "pending"] })
+    ]);
+    return this._signer.signTransaction(toTransactionRequest(tx, parseInt(chainId, 16), nonce));
+  }
+
+  async _sendTransaction(tx) {
+    const raw = await this._signTransaction(tx);
+    return this._wrappedProvider.request({ method: "eth_sendRawTransaction", params: [raw] });
+  }
+}
+
+// Provider extender: wrap the network's provider when hardhat.config.js gives it a `signer`
+function withExternalSigner(provider, signerConfig) {
+  if (!signerConfig) {
+    return provider;
+  }
+  return new ExternalSignerProvider(provider, createExternalSigner(signerConfig));
+}
+
+module.exports = {
+  withExternalSigner,
+  createExternalSigner,
+  promptHidden
+};
@@ -0,0 +1,125 @@
+// scripts/utils/storageLayout.js
+const fs = require("fs");
+const path = require("path");
+const { requireUpgradesCore } = require("./upgradesCore");
+
+const {
+  Manifest,
+  getStorageLayout,
+  getStorageLayoutForAddress,
+  getUnlinkedBytecode,
+  getVersion,
+  isCurrentValidationData
+} = requireUpgradesCore();
+
+// Validation data the upgrades plugin writes to <cache>/validations.json on every compile
+function readValidations(hre) {
+  const cachePath = path.join(hre.config.paths.cache, "validations.json");
+  if (!fs.existsSync(cachePath)) {
+    throw new Error(`No validations cache at ${cachePath}; recompile with \`npx hardhat compile --force\``);
+  }
+  const data = JSON.parse(fs.readFileSync(cachePath, "utf8"));
+  if (!isCurrentValidationData(data)) {
+    throw new Error(`The validations cache at ${cachePath} is outdated; recompile with \`npx hardhat compile --force\``);
+  }
+  return data;
+}
+
+// Layout of the proxy's current implementation as stored in .openzeppelin/<network>.json,
+// and the layout the new contract factory would bring
+async function readStorageLayouts(hre, proxyAddress, factory) {
+  const validations = readValidations(hre);
+  const manifest = await Manifest.forNetwork(hre.network.provider);
+  const currentImplementation = await hre.upgrades.erc1967.getImplementationAddress(proxyAddress);
+
+  const current = await getStorageLayoutForAddress(manifest, validations, currentImplementation);
+  const version = getVersion(getUnlinkedBytecode(validations, factory.bytecode), factory.bytecode);
+  const next = getStorageLayout(validations, version);
+
+  return { currentImplementation, current, next };
+}
+
+// One entry per variable, including ERC-7201 namespaced storage
+function flattenLayout(layout) {
+  const typeLabel = (type) => (layout.types && layout.types[type] ? layout.types[type].label : type);
+  const toEntry = (item, namespace) => ({
+    namespace,
+    label: item.label,
+    contract: item.contract,
+    slot: item.slot,
+    offset: item.offset,
+    type: typeLabel(item.type)
+  });
+
+  const entries = layout.storage.map((item) => toEntry(item, null));
+  for (const [namespace, items] of Object.entries(layout.namespaces || {})) {
+    entries.push(...items.map((item) => toEntry(item, namespace)));
+  }
+  return entries;
+}
+
+const samePosition = (a, b) => a.namespace === b.namespace && a.slot === b.slot && a.offset === b.offset;
+
+// Compare two layouts variable by variable. Changes are matched by name within a namespace;
+// a removed variable whose slot is taken by a new one of the same type is reported as renamed.
+function diffStorageLayouts(current, next) {
+  const before = flattenLayout(current);
+  const after = flattenLayout(next);
+  const unmatched = new Set(after);
+  const rows = [];
+
+  for (const old of before) {
+    const match = after.find((entry) => unmatched.has(entry) && entry.namespace === old.namespace && entry.label === old.label);
+    if (match) {
+      unmatched.delete(match);
+      let change = "unchanged";
+      if (!samePosition(old, match)) {
+        change = "moved";
+      } else if (old.type !== match.type) {
+        change = "retyped";
+      }
+      rows.push({ change, before: old, after: match });
+      continue;
+    }
+
+    const renamed = after.find((entry) => unmatched.has(entry) && samePosition(entry, old) && entry.type === old.type);
+    if (renamed) {
+      unmatched.delete(renamed);
+      rows.push({ change: "renamed", before: old, after: renamed });
+    } else {
+      rows.push({ change: "removed", before: old, after: null });
+    }
+  }
+
+  for (const entry of unmatched) {
+    rows.push({ change: "added", before: null, after: entry });
+  }
+  return rows;
+}
+
+const MARKERS = { unchanged: " ", added: "+", removed: "-", renamed: "~", retyped: "!", moved: "!" };
+
+function describeVariable(entry) {
+  const position = entry.slot === undefined ? "slot ?" : `slot ${entry.slot}+${entry.offset}`;
+  const namespace = entry.namespace ? `${entry.namespace} ` : "";
+  return `${namespace}${position} ${entry.contract}.${entry.label}: ${entry.type}`;
+}
+
+function formatStorageDiff(rows) {
+  return rows.map(({ change, before, after }) => {
+    const marker = MARKERS[change];
+    if (change === "unchanged" || change === "added") {
+      return `${marker} ${describeVariable(after)}${change === "added" ? "  (added)" : ""}`;
+    }
+    if (change === "removed") {
+      return `${marker} ${describeVariable(before)}  (removed)`;
+    }
+    return `${marker} ${describeVariable(before)}  ->  ${describeVariable(after)}  (${change})`;
+  }).join("\n");
+}
+
+module.exports = {
+  readStorageLayouts,
+  diffStorageLayouts,
+  formatStorageDiff
+};
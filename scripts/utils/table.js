@@ -0,0 +1,18 @@
+// scripts/utils/table.js
+
+// Markdown-style table with padded columns; cells are converted to strings
+function formatTable(header, rows) {
+  const lines = rows.map((row) => row.map((cell) => (cell == null ? "" : String(cell))));
+  const widths = header.map((title, i) => Math.max(title.length, ...lines.map((line) => line[i].length)));
+  const format = (cells) => `| ${cells.map((cell, i) => cell.padEnd(widths[i])).join(" | ")} |`;
+
+  return [
+    format(header),
+    `|${widths.map((width) => "-".repeat(width + 2)).join("|")}|`,
+    ...lines.map(format)
+  ].join("\n");
+}
+
+module.exports = {
+  formatTable
+};
@@ -0,0 +1,225 @@
+// scripts/utils/txSender.js
+const { ethers } = require("ethers");
+const { loadNetworkConfig, hasNetworkConfig } = require("./networkConfig");
+
+const DEFAULT_GAS_SETTINGS = {
+  multiplier: 1.2, // headroom on top of eth_estimateGas
+  maxFeePerGasGwei: null,
+  maxPriorityFeePerGasGwei: null
+};
+
+// Gas settings for the active network: the "gas" block of config/networks/<network>.json,
+// with GAS_MULTIPLIER overriding the multiplier. Networks without a config file use the defaults.
+function loadGasSettings(hre) {
+  const configured = hasNetworkConfig(hre.network.name) ? loadNetworkConfig(hre).gas || {} : {};
+  const settings = { ...DEFAULT_GAS_SETTINGS, ...configured };
+  if (process.env.GAS_MULTIPLIER) {
+    settings.multiplier = Number(process.env.GAS_MULTIPLIER);
+  }
+  if (!(settings.multiplier >= 1)) {
+    throw new Error(`Gas multiplier must be a number >= 1, got ${settings.multiplier}`);
+  }
+
+  const gwei = (value) => (value == null ? null : ethers.utils.parseUnits(String(value), "gwei"));
+  return {
+    network: hre.network.name,
+    multiplier: settings.multiplier,
+    maxFeePerGas: gwei(settings.maxFeePerGasGwei),
+    maxPriorityFeePerGas: gwei(settings.maxPriorityFeePerGasGwei)
+  };
+}
+
+const min = (a, b) => (b && b.lt(a) ? b : a);
+
+// Pull the revert reason out of whatever shape the provider or ethers wrapped it in
+function decodeRevertReason(error) {
+  const message = [error.reason, error.error && error.error.message, error.message].filter(Boolean).join("\n");
+  const match =
+    /reverted with reason string '([^']*)'/.exec(message) ||
+    /reverted with custom error '([^']*)'/.exec(message) ||
+    /reverted with panic code ([^\s]+(?: \([^)]*\))?)/.exec(message) ||
+    /execution reverted: ([^"\n]+)/.exec(message);
+  if (match) {
+    return match[1];
+  }
+  return error.reason || String(error.message).split("\n")[0];
+}
+
+// gasLimit from the estimate times the multiplier, plus EIP-1559 fees capped per network
+// (or a capped legacy gasPrice where the chain has no base fee)
+async function buildOverrides(provider, estimate, gasSettings) {
+  const gasLimit = estimate.mul(Math.round(gasSettings.multiplier * 1000)).div(1000);
+  const feeData = await provider.getFeeData();
+  const cap = gasSettings.maxFeePerGas;
+
+  if (feeData.maxFeePerGas) {
+    const block = await provider.getBlock("latest");
+    if (cap && block.baseFeePerGas && block.baseFeePerGas.gt(cap)) {
+      throw new Error(
+        `Base fee ${ethers.utils.formatUnits(block.baseFeePerGas, "gwei")} gwei is above the ` +
+        `${ethers.utils.formatUnits(cap, "gwei")} gwei maxFeePerGas cap for ${gasSettings.network}`
+      );
+    }
+    const maxFeePerGas = min(feeData.maxFeePerGas, cap);
+    const maxPriorityFeePerGas = min(min(feeData.maxPriorityFeePerGas, gasSettings.maxPriorityFeePerGas), maxFeePerGas);
+    return { gasLimit, maxFeePerGas, maxPriorityFeePerGas };
+  }
+
+  return { gasLimit, gasPrice: min(feeData.gasPrice, cap) };
+}
+
+// Estimate and send contract[method](...args). Throws without sending if the estimate reverts.
+async function sendContractTx(contract, method, args, gasSettings) {
+  const estimate = await contract.estimateGas[method](...args);
+  const overrides = await buildOverrides(contract.provider, estimate, gasSettings);
+  return contract[method](...args, overrides);
+}
+
+// Estimate and send a plain (non-proxy) deployment
+async function deployContract(factory, args, gasSettings) {
+  const deployTx = factory.getDeployTransaction(...args);
+  const estimate = await factory.signer.estimateGas(deployTx);
+  const overrides = await buildOverrides(factory.signer.provider, estimate, gasSettings);
+  return factory.deploy(...args, overrides);
+}
+
+// Signer for transactions built elsewhere, e.g. the implementation, ProxyAdmin and proxy deployments
+// of the upgrades plugin: each one gets the same gas limit and capped fees as sendContractTx, and
+// nothing is sent while the base fee is above the cap. A gasLimit set by the caller is kept.
+class FeeCappedSigner extends ethers.Signer {
+  constructor(signer, gasSettings) {
+    super();
+    ethers.utils.defineReadOnly(this, "provider", signer.provider);
+    this._signer = signer;
+    this._gasSettings = gasSettings;
+  }
+
+  getAddress() {
+    return this._signer.getAddress();
+  }
+
+  signMessage(message) {
+    return this._signer.signMessage(message);
+  }
+
+  signTransaction(transaction) {
+    return this._signer.signTransaction(transaction);
+  }
+
+  _signTypedData(domain, types, value) {
+    return this._signer._signTypedData(domain, types, value);
+  }
+
+  connect(provider) {
+    return new FeeCappedSigner(this._signer.connect(provider), this._gasSettings);
+  }
+
+  async sendTransaction(transaction) {
+    const { gasPrice, maxFeePerGas, maxPriorityFeePerGas, type, ...tx } = await ethers.utils.resolveProperties(transaction);
+    const estimate = tx.gasLimit ? ethers.BigNumber.from(tx.gasLimit) : await this._signer.estimateGas(tx);
+    const overrides = await buildOverrides(this.provider, estimate, this._gasSettings);
+    return this._signer.sendTransaction({ ...tx, ...overrides, ...(tx.gasLimit ? { gasLimit: tx.gasLimit } : {}) });
+  }
+}
+
+function withFeeCaps(signer, gasSettings) {
+  return new FeeCappedSigner(signer, gasSettings);
+}
+
+// Sends and tracks the transactions of one script run. Failures are kept as failures:
+// a mined-but-reverted tx reports the gas it actually burned, one that was never sent reports none.
+function createTxSender(hre, gasSettings = loadGasSettings(hre)) {
+  const results = [];
+
+  function fail(description, error, receipt = null) {
+    const result = {
+      description,
+      success: false,
+      txHash: receipt ? receipt.transactionHash : null,
+      gasUsed: receipt ? receipt.gasUsed : null,
+      reason: decodeRevertReason(error),
+      error
+    };
+    results.push(result);
+    const gas = receipt ? `gas used: ${receipt.gasUsed.toString()}` : "no transaction sent";
+    console.log(`  ❌ ${description} failed: ${result.reason} (${gas})`);
+    return result;
+  }
+
+  // Wait for a tx that was already sent and record its outcome
+  async function track(description, tx) {
+    try {
+      const receipt = await tx.wait();
+      const result = { description, success: true, txHash: receipt.transactionHash, gasUsed: receipt.gasUsed, reason: null, error: null };
+      results.push(result);
+      console.log(`  ⛽ Gas used for ${description}: ${receipt.gasUsed.toString()}`);
+      return result;
+    } catch (error) {
+      return fail(description, error, error.receipt || null);
+    }
+  }
+
+  return {
+    gasSettings,
+    results,
+
+    track,
+
+    // Track a tx sent by someone else (e.g. the upgrades plugin) by hash, once, and only if it
+    // was mined at or after sinceBlock. Resolves to null when skipped.
+    async trackHash(description, txHash, { sinceBlock = 0 } = {}) {
+      if (results.some((result) => result.txHash === txHash)) {
+        return null;
+      }
+      const tx = await hre.ethers.provider.getTransaction(txHash);
+      if (!tx || tx.blockNumber == null || tx.blockNumber < sinceBlock) {
+        return null;
+      }
+      return track(description, tx);
+    },
+
+    async send(description, contract, method, args = []) {
+      console.log(`Executing: ${description}...`);
+      let tx;
+      try {
+        tx = await sendContractTx(contract, method, args, gasSettings);
+      } catch (error) {
+        return fail(description, error, error.receipt || null);
+      }
+      return track(description, tx);
+    },
+
+    // Resolves to { contract, result }; contract is null if the deployment failed
+    async deploy(description, factory, args = []) {
+      console.log(`Executing: ${description}...`);
+      let contract;
+      try {
+        contract = await deployContract(factory, args, gasSettings);
+      } catch (error) {
+        return { contract: null, result: fail(description, error, error.receipt || null) };
+      }
+      const result = await track(description, contract.deployTransaction);
+      return { contract: result.success ? contract : null, result };
+    },
+
+    totalGasUsed() {
+      return results
+        .filter((result) => result.gasUsed)
+        .reduce((sum, result) => sum.add(result.gasUsed), ethers.BigNumber.from(0));
+    },
+
+    failures() {
+      return results.filter((result) => !result.success);
+    }
+  };
+}
+
+module.exports = {
+  loadGasSettings,
+  buildOverrides,
+  sendContractTx,
+  deployContract,
+  withFeeCaps,
+  createTxSender,
+  decodeRevertReason
+};
@@ -0,0 +1,57 @@
+// scripts/utils/upgradeSafety.js
+const { findDeployment } = require("./deployments");
+const { readStorageLayouts, diffStorageLayouts, formatStorageDiff } = require("./storageLayout");
+
+// Resolve a deployment-record name or an address to { name, address, contractName, recorded }
+function resolveProxy(hre, proxy, contract) {
+  const entry = findDeployment(hre, proxy || contract);
+  if (entry) {
+    if (!entry.proxyKind) {
+      throw new Error(`${entry.name} at ${entry.address} is not recorded as a proxy`);
+    }
+    return { name: entry.name, address: entry.address, contractName: entry.contractName, recorded: true };
+  }
+  if (proxy && hre.ethers.utils.isAddress(proxy)) {
+    return { name: contract, address: proxy, contractName: contract, recorded: false };
+  }
+  throw new Error(`No proxy "${proxy || contract}" in the deployment record; pass its address instead`);
+}
+
+// Run upgrades.validateUpgrade and print the storage layout diff against .openzeppelin/<network>.json.
+// Throws when the upgrade is unsafe; resolves to the layouts otherwise.
+async function validateUpgradeWithDiff(hre, target, contract, Factory, options) {
+  console.log(`Validating ${contract} as an upgrade of ${target.name} (${target.address}) on ${hre.network.name}...`);
+  let validationError = null;
+  try {
+    await hre.upgrades.validateUpgrade(target.address, Factory, options);
+  } catch (error) {
+    validationError = error;
+  }
+
+  let layouts;
+  try {
+    layouts = await readStorageLayouts(hre, target.address, Factory);
+  } catch (error) {
+    if (!validationError) {
+      throw error;
+    }
+    // The diff is only a help here; the validation error is what the user needs to see
+    console.log(`⚠️  Could not read the storage layouts for a diff: ${error.message}`);
+  }
+  if (layouts) {
+    console.log(`\n=== Storage layout: ${layouts.currentImplementation} -> ${contract} ===`);
+    console.log(formatStorageDiff(diffStorageLayouts(layouts.current, layouts.next)));
+  }
+
+  if (validationError) {
+    console.error(`\n${validationError.message}`);
+    throw new Error(`${contract} is not a safe upgrade of ${target.name}`);
+  }
+  console.log("\n✅ Upgrade validation passed");
+  return layouts;
+}
+
+module.exports = {
+  resolveProxy,
+  validateUpgradeWithDiff
+};
@@ -0,0 +1,15 @@
+// scripts/utils/upgradesCore.js
+const path = require("path");
+
+// @openzeppelin/upgrades-core as @openzeppelin/hardhat-upgrades loads it. The plugin may use a nested copy
+// of a different version than the top-level one, and the proxy bytecode, build settings and manifest
+// format have to match the copy that deployed the proxies.
+const PLUGIN_DIR = path.dirname(require.resolve("@openzeppelin/hardhat-upgrades/package.json"));
+
+function requireUpgradesCore(request = "@openzeppelin/upgrades-core") {
+  return require(require.resolve(request, { paths: [PLUGIN_DIR] }));
+}
+
+module.exports = {
+  requireUpgradesCore
+};
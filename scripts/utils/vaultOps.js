@@ -0,0 +1,224 @@
+// scripts/utils/vaultOps.js
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { getDeployment } = require("./deployments");
+const { formatTable } = require("./table");
+const { createTxSender } = require("./txSender");
+
+const REPORTS_DIR = path.join(__dirname, "../../reports");
+const ERC20_ABI = ["function decimals() view returns (uint8)", "function symbol() view returns (string)"];
+
+// Events worth showing after an operation, by contract
+const WATCHED_EVENTS = {
+  VirtualVault: ["DepositProcessed", "DepositFailed"],
+  CombinedVault: ["Harvested", "PerformanceFeeCollected"]
+};
+
+// The recorded vaults plus the asset they hold, for formatting amounts
+async function loadVaults(hre) {
+  const virtualVault = await hre.ethers.getContractAt("VirtualVault", getDeployment(hre, "VirtualVault").address);
+  const combinedVault = await hre.ethers.getContractAt("CombinedVault", getDeployment(hre, "CombinedVault").address);
+  const asset = new ethers.Contract(await virtualVault.asset(), ERC20_ABI, hre.ethers.provider);
+  const [decimals, symbol] = await Promise.all([asset.decimals(), asset.symbol()]);
+
+  return {
+    virtualVault,
+    combinedVault,
+    asset: { address: asset.address, decimals, symbol },
+    format: (amount) => `${ethers.utils.formatUnits(amount, decimals)} ${symbol}`
+  };
+}
+
+// Read public array entries until the index runs past the end; the vault exposes no length getter
+async function readArray(getter) {
+  const items = [];
+  for (let i = 0; ; i++) {
+    try {
+      items.push(await getter(i));
+    } catch (error) {
+      if (error.code !== "CALL_EXCEPTION") {
+        throw error;
+      }
+      return items;
+    }
+  }
+}
+
+// Queue position, the deposits waiting to be flushed and the deposits that failed to flush
+async function readQueue(virtualVault) {
+  const [status, batchSize, [pendingUsers, pendingAmounts]] = await Promise.all([
+    virtualVault.getQueueStatus(),
+    virtualVault.BATCH_SIZE(),
+    // Despite its name, getFailedDeposits lists queued users that still have an amount to flush
+    virtualVault.getFailedDeposits()
+  ]);
+
+  const failedUsers = await readArray((i) => virtualVault.failedUsers(i));
+  const failed = [];
+  for (const user of failedUsers) {
+    const info = await virtualVault.getFailedDepositInfo(user);
+    failed.push({ user, amount: info.amount, retryCount: info.retryCount.toNumber(), lastAttempt: info.lastAttempt.toNumber() });
+  }
+
+  return {
+    totalUsers: status.totalUsers.toNumber(),
+    processedUsers: status.processedUsers.toNumber(),
+    remainingUsers: status.remainingUsers.toNumber(),
+    batchSize: batchSize.toNumber(),
+    pending: pendingUsers.map((user, i) => ({ user, amount: pendingAmounts[i] })),
+    failed
+  };
+}
+
+// Users the next flushToCombinedVault call processes: the next BATCH_SIZE queue entries
+async function previewFlush(virtualVault, queue) {
+  const end = Math.min(queue.processedUsers + queue.batchSize, queue.totalUsers);
+  const batch = [];
+  for (let i = queue.processedUsers; i < end; i++) {
+    const user = await virtualVault.queuedUsers(i);
+    const { amount } = await virtualVault.queuedDeposits(user);
+    if (!amount.isZero()) {
+      batch.push({ user, amount });
+    }
+  }
+  return batch;
+}
+
+// Failed deposits retryFailedDeposits(maxRetries) moves back into the queue
+function previewRetry(queue, maxRetries) {
+  return queue.failed.filter((deposit) => !deposit.amount.isZero() && deposit.retryCount < maxRetries);
+}
+
+const sum = (deposits) => deposits.reduce((total, deposit) => total.add(deposit.amount), ethers.BigNumber.from(0));
+
+function formatQueue(queue, format) {
+  const lines = [
+    `Queue: ${queue.totalUsers} users, ${queue.processedUsers} processed, ${queue.remainingUsers} remaining (batch size ${queue.batchSize})`,
+    "",
+    `Pending deposits: ${queue.pending.length} (${format(sum(queue.pending))})`
+  ];
+  if (queue.pending.length > 0) {
+    lines.push(formatTable(["USER", "AMOUNT"], queue.pending.map((d) => [d.user, format(d.amount)])));
+  }
+  lines.push("", `Failed deposits: ${queue.failed.length} (${format(sum(queue.failed))})`);
+  if (queue.failed.length > 0) {
+    lines.push(formatTable(["USER", "AMOUNT", "RETRIES", "LAST ATTEMPT"], queue.failed.map((d) => [
+      d.user,
+      format(d.amount),
+      d.retryCount,
+      d.lastAttempt ? new Date(d.lastAttempt * 1000).toISOString() : "-"
+    ])));
+  }
+  return lines.join("\n");
+}
+
+function formatDeposits(title, deposits, format) {
+  if (deposits.length === 0) {
+    return `${title}: none`;
+  }
+  return `${title}: ${deposits.length} users, ${format(sum(deposits))}\n` +
+    formatTable(["USER", "AMOUNT"], deposits.map((d) => [d.user, format(d.amount)]));
+}
+
+// Decode the watched events a receipt contains, in log order
+function decodeVaultEvents(receipt, vaults) {
+  const events = [];
+  for (const log of receipt.logs) {
+    for (const [name, contract] of [["VirtualVault", vaults.virtualVault], ["CombinedVault", vaults.combinedVault]]) {
+      if (log.address.toLowerCase() !== contract.address.toLowerCase()) {
+        continue;
+      }
+      let parsed;
+      try {
+        parsed = contract.interface.parseLog(log);
+      } catch (error) {
+        continue; // not in the ABI
+      }
+      if (WATCHED_EVENTS[name].includes(parsed.name)) {
+        const args = Object.fromEntries(parsed.eventFragment.inputs.map((input, i) => [input.name, parsed.args[i]]));
+        events.push({ contract: name, event: parsed.name, args });
+      }
+    }
+  }
+  return events;
+}
+
+function formatEvent({ event, args }, format) {
+  switch (event) {
+    case "DepositProcessed":
+      return `✅ DepositProcessed ${args.user} ${format(args.amount)}`;
+    case "DepositFailed":
+      return `❌ DepositFailed ${args.user} ${format(args.amount)}: ${args.reason}`;
+    case "Harvested":
+      return `🌾 Harvested: total assets ${format(args.totalAssets)}, redemption rate ${ethers.utils.formatEther(args.previousRedemptionRate)} -> ${ethers.utils.formatEther(args.redemptionRate)}`;
+    case "PerformanceFeeCollected":
+      return `💰 PerformanceFeeCollected ${format(args.amount)}`;
+    default:
+      return event;
+  }
+}
+
+// BigNumbers as decimal strings so the summary is plain JSON
+function toPlain(value) {
+  if (ethers.BigNumber.isBigNumber(value)) {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(toPlain);
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toPlain(item)]));
+  }
+  return value;
+}
+
+// Write reports/<network>/vault-<operation>-<timestamp>.json
+function writeOperationSummary(hre, operation, summary) {
+  const generatedAt = new Date().toISOString();
+  const dir = path.join(REPORTS_DIR, hre.network.name);
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, `vault-${operation}-${generatedAt.replace(/[:.]/g, "-")}.json`);
+  fs.writeFileSync(file, JSON.stringify(toPlain({ operation, network: hre.network.name, generatedAt, ...summary }), null, 2) + "\n");
+  return file;
+}
+
+// Send one vault transaction, print the events it emitted and the queue it left, and write the summary
+async function executeVaultOperation(hre, vaults, { operation, description, contract, method, args = [], preview }) {
+  const sender = createTxSender(hre);
+  const result = await sender.send(description, contract, method, args);
+
+  const summary = { contract: contract.address, method, args, preview, txHash: result.txHash, success: result.success, gasUsed: result.gasUsed };
+  if (result.success) {
+    const receipt = await hre.ethers.provider.getTransactionReceipt(result.txHash);
+    summary.events = decodeVaultEvents(receipt, vaults);
+    console.log(`\nEvents (${summary.events.length}):`);
+    summary.events.forEach((event) => console.log(`  ${formatEvent(event, vaults.format)}`));
+
+    summary.queueAfter = await readQueue(vaults.virtualVault);
+    console.log(`\n${formatQueue(summary.queueAfter, vaults.format)}`);
+  } else {
+    summary.reason = result.reason;
+  }
+
+  const file = writeOperationSummary(hre, operation, summary);
+  console.log(`\nSummary: ${file}`);
+  if (!result.success) {
+    throw new Error(`${description} failed: ${result.reason}`);
+  }
+  return summary;
+}
+
+module.exports = {
+  loadVaults,
+  readQueue,
+  previewFlush,
+  previewRetry,
+  formatQueue,
+  formatDeposits,
+  decodeVaultEvents,
+  formatEvent,
+  toPlain,
+  writeOperationSummary,
+  executeVaultOperation
+};
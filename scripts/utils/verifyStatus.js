@@ -0,0 +1,85 @@
+// scripts/utils/verifyStatus.js
+const axios = require("axios");
+
+const VerifyState = {
+  PENDING: "pending",
+  PASS: "pass",
+  FAIL: "fail",
+  ALREADY_VERIFIED: "already-verified",
+  RATE_LIMITED: "rate-limited"
+};
+
+const DEFAULT_POLLING = {
+  initialDelayMs: 3000,
+  maxDelayMs: 30000,
+  factor: 2,
+  timeoutMs: 5 * 60 * 1000
+};
+
+// Classify an Etherscan-style { status, message, result } response from checkverifystatus
+// (and checkproxyverification, which uses the same wording)
+function classifyVerifyStatus(data) {
+  const result = String(data.result || "");
+  const text = `${data.message || ""} ${result}`.toLowerCase();
+
+  if (text.includes("rate limit")) {
+    return VerifyState.RATE_LIMITED;
+  }
+  if (text.includes("already verified")) {
+    return VerifyState.ALREADY_VERIFIED;
+  }
+  if (text.includes("pending") || text.includes("in progress")) {
+    return VerifyState.PENDING;
+  }
+  if (data.status === "1" || result.startsWith("Pass") || text.includes("success")) {
+    return VerifyState.PASS;
+  }
+  return VerifyState.FAIL;
+}
+
+function isVerifiedState(state) {
+  return state === VerifyState.PASS || state === VerifyState.ALREADY_VERIFIED;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Poll checkverifystatus until the explorer gives a final answer, backing off exponentially.
+// Pending and rate-limited answers are retried; anything else is returned as soon as it arrives.
+// options.sleep and options.now replace the timer and the clock, e.g. with a fake clock in tests.
+async function pollVerifyStatus(explorer, guid, options = {}) {
+  const { initialDelayMs, maxDelayMs, factor, timeoutMs } = { ...DEFAULT_POLLING, ...options };
+  const action = options.action || "checkverifystatus";
+  const wait = options.sleep || sleep;
+  const now = options.now || Date.now;
+  const startedAt = now();
+
+  let delay = initialDelayMs;
+  let attempts = 0;
+  let last = { state: VerifyState.PENDING, result: "" };
+
+  while (now() - startedAt + delay <= timeoutMs) {
+    await wait(delay);
+    attempts++;
+
+    const response = await axios.get(explorer.apiURL, {
+      params: { module: "contract", action, guid, apikey: explorer.apiKey }
+    });
+    last = { state: classifyVerifyStatus(response.data), result: response.data.result };
+    console.log(`  [${attempts}] ${action}: ${last.result}`);
+
+    if (last.state !== VerifyState.PENDING && last.state !== VerifyState.RATE_LIMITED) {
+      return { ...last, attempts, timedOut: false };
+    }
+    delay = Math.min(delay * factor, maxDelayMs);
+  }
+
+  return { ...last, attempts, timedOut: true };
+}
+
+module.exports = {
+  VerifyState,
+  DEFAULT_POLLING,
+  classifyVerifyStatus,
+  isVerifiedState,
+  pollVerifyStatus
+};
@@ -0,0 +1,106 @@
+// tasks/account.js
+const { task, types } = require("hardhat/config");
+const { ethers } = require("ethers");
+const { loadNetworkConfig, hasNetworkConfig } = require("../scripts/utils/networkConfig");
+const { getProvider, hasRpcUrl } = require("../scripts/utils/providers");
+const { formatTable } = require("../scripts/utils/table");
+
+const ERC20_ABI = [
+  "function balanceOf(address owner) view returns (uint256)",
+  "function decimals() view returns (uint8)"
+];
+
+function withTimeout(promise, ms, what) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${what} timed out after ${ms / 1000}s`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Networks from hardhat.config.js (or --networks), split by whether they have an RPC URL.
+// The built-in localhost only counts when asked for.
+function selectNetworks(hre, names) {
+  const configured = Object.keys(hre.userConfig.networks || {});
+  const selected = names
+    ? names.split(",").map((name) => name.trim()).filter(Boolean)
+    : configured;
+
+  const networks = selected.filter((name) => name !== "hardhat" && (names || name !== "localhost")).map((name) => {
+    const network = hre.config.networks[name];
+    if (!network) {
+      throw new Error(`Unknown network "${name}"; configured networks: ${configured.join(", ")}`);
+    }
+    return { name, network };
+  });
+  return {
+    reachable: networks.filter(({ name }) => hasRpcUrl(hre, name)),
+    skipped: networks.filter(({ name }) => !hasRpcUrl(hre, name)).map(({ name }) => name)
+  };
+}
+
+async function queryNetwork(hre, name, network, address, timeoutMs) {
+  const provider = getProvider(hre, name, { timeoutMs });
+  const tokens = hasNetworkConfig(name) ? loadNetworkConfig(hre, name).tokens : {};
+
+  const [nonce, balance, tokenBalances] = await Promise.all([
+    provider.getTransactionCount(address, "latest"),
+    provider.getBalance(address),
+    Promise.all(Object.entries(tokens).map(async ([symbol, tokenAddress]) => {
+      const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+      const [amount, decimals] = await Promise.all([token.balanceOf(address), token.decimals()]);
+      return [symbol, ethers.utils.formatUnits(amount, decimals)];
+    }))
+  ]);
+
+  return {
+    network: name,
+    chainId: network.chainId || null,
+    nonce,
+    eth: ethers.utils.formatEther(balance),
+    tokens: Object.fromEntries(tokenBalances)
+  };
+}
+
+const fixed = (value) => parseFloat(value).toFixed(4);
+
+function printTable(address, rows, skipped) {
+  const symbols = [...new Set(rows.flatMap((row) => Object.keys(row.tokens || {})))];
+  const header = ["NETWORK", "NONCE", "ETH", ...symbols];
+  const lines = rows.map((row) => (row.error
+    ? [row.network, "-", `error: ${row.error}`, ...symbols.map(() => "")]
+    : [row.network, String(row.nonce), fixed(row.eth), ...symbols.map((symbol) => (symbol in row.tokens ? fixed(row.tokens[symbol]) : "-"))]));
+
+  console.log(`Account ${address}`);
+  console.log(formatTable(header, lines));
+  if (skipped.length > 0) {
+    console.log(`Skipped (no RPC URL): ${skipped.join(", ")}`);
+  }
+}
+
+task("account", "Returns nonce, ETH and token balances for an address on every configured network")
+  .addParam("address", "The address to query", undefined, types.string)
+  .addOptionalParam("networks", "Comma-separated networks to query (defaults to every network with an RPC URL)", undefined, types.string)
+  .addOptionalParam("timeout", "Seconds to wait for each network", 15, types.int)
+  .addFlag("json", "Print JSON instead of a table")
+  .setAction(async ({ address, networks, timeout, json }, hre) => {
+    if (!ethers.utils.isAddress(address)) {
+      throw new Error(`Invalid address: ${address}`);
+    }
+    const { reachable, skipped } = selectNetworks(hre, networks);
+    if (reachable.length === 0) {
+      throw new Error("No networks with an RPC URL configured; set the API_URL_* variables in .env");
+    }
+
+    // One slow or unreachable RPC only fails its own row
+    const timeoutMs = timeout * 1000;
+    const rows = await Promise.all(reachable.map(({ name, network }) =>
+      withTimeout(queryNetwork(hre, name, network, address, timeoutMs), timeoutMs, name)
+        .catch((error) => ({ network: name, chainId: network.chainId || null, error: error.reason || error.message }))));
+
+    if (json) {
+      console.log(JSON.stringify({ address, networks: rows, skipped }, null, 2));
+    } else {
+      printTable(address, rows, skipped);
+    }
+  });
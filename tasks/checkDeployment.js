@@ -0,0 +1,40 @@
+// tasks/checkDeployment.js
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { readDeployments } = require("../scripts/utils/deployments");
+const { loadManifest } = require("../scripts/utils/manifest");
+const { checkDeployment, formatReport } = require("../scripts/utils/deploymentChecks");
+
+task("check-deployment", "Checks the on-chain wiring of the registry, adapters and vaults against the deployment manifest")
+  .addOptionalParam("manifest", "Deployment manifest (defaults to config/manifests/<network>.yaml)", undefined, types.string)
+  .addOptionalParam("deployment", "Deployment record to check (defaults to deployments/<network>.json)", undefined, types.string)
+  .addOptionalParam("owner", "Account that must own every contract and ProxyAdmin (e.g. the Safe)", undefined, types.string)
+  .addOptionalParam("json", "Also write the results to this JSON file", undefined, types.string)
+  .setAction(async ({ manifest, deployment, owner, json }, hre) => {
+    const expected = loadManifest(hre, manifest);
+    const record = deployment
+      ? JSON.parse(fs.readFileSync(deployment, "utf8"))
+      : readDeployments(hre.network.name);
+
+    console.log(`Checking the ${hre.network.name} deployment against ${expected.source || `config/networks/${hre.network.name}.json`}`);
+    const report = await checkDeployment(hre, expected, record, { owner });
+    console.log(formatReport(report));
+
+    const failures = report.failures();
+    if (json) {
+      fs.mkdirSync(path.dirname(path.resolve(json)), { recursive: true });
+      fs.writeFileSync(json, JSON.stringify({
+        network: hre.network.name,
+        checkedAt: new Date().toISOString(),
+        passed: failures.length === 0,
+        checks: report.checks
+      }, null, 2) + "\n");
+      console.log(`\nResults written to ${json}`);
+    }
+
+    if (failures.length > 0) {
+      throw new Error(`${failures.length} of ${report.checks.length} deployment checks failed on ${hre.network.name}`);
+    }
+    console.log(`\n✅ All ${report.checks.length} deployment checks passed`);
+  });
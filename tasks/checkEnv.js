@@ -0,0 +1,47 @@
+// tasks/checkEnv.js
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { NETWORK_ENV, checkNetworkEnv, readEnvKeys } = require("../scripts/utils/env");
+
+task("check-env", "Compares .env with .env.example and checks the variables each network needs")
+  .addOptionalParam("networks", "Comma-separated networks to check (defaults to every live network)", undefined, types.string)
+  .addOptionalParam("for", "Task the variables are checked for, e.g. verify-upgradeable", "run", types.string)
+  .addOptionalParam("example", "Template listing every supported variable", ".env.example", types.string)
+  .setAction(async ({ networks, for: forTask, example }, hre) => {
+    const root = hre.config.paths.root;
+    const exampleKeys = readEnvKeys(path.resolve(root, example));
+    if (!exampleKeys) {
+      throw new Error(`${example} not found`);
+    }
+    const envKeys = readEnvKeys(path.join(root, ".env")) || [];
+
+    const unset = exampleKeys.filter((key) => !process.env[key]);
+    const unknown = envKeys.filter((key) => !exampleKeys.includes(key));
+    console.log(`${exampleKeys.length - unset.length}/${exampleKeys.length} variables from ${example} are set`);
+    if (unset.length > 0) {
+      console.log(`Unset: ${unset.join(", ")}`);
+    }
+    if (unknown.length > 0) {
+      console.log(`⚠️  In .env but not in ${example} (typo?): ${unknown.join(", ")}`);
+    }
+
+    const names = networks ? networks.split(",").map((name) => name.trim()) : Object.keys(NETWORK_ENV);
+    let failed = 0;
+    console.log(`\nVariables needed for "${forTask}":`);
+    for (const name of names) {
+      if (!NETWORK_ENV[name]) {
+        throw new Error(`No environment variables are defined for network "${name}"; known: ${Object.keys(NETWORK_ENV).join(", ")}`);
+      }
+      const problems = checkNetworkEnv(name, { task: forTask });
+      if (problems.length === 0) {
+        console.log(`✅ ${name}`);
+      } else {
+        failed++;
+        console.log(`❌ ${name}: ${problems.join("; ")}`);
+      }
+    }
+
+    if (failed > 0) {
+      throw new Error(`${failed} of ${names.length} networks are missing environment variables`);
+    }
+  });
@@ -0,0 +1,24 @@
+// tasks/deployUpgradeable.js
+const path = require("path");
+const { task, types } = require("hardhat/config");
+
+const DEPLOY_SCRIPT = path.join(__dirname, "../scripts/upgradable/upgradableDeploy.js");
+
+task("deploy-upgradeable", "Deploys and wires the upgradeable vault stack described by the deployment manifest")
+  .addFlag("dryRun", "Run against a local fork of the network and print the plan without broadcasting")
+  .addFlag("fresh", "Ignore recorded proxies and deploy a new stack")
+  .addOptionalParam("manifest", "Deployment manifest (defaults to config/manifests/<network>.yaml)", undefined, types.string)
+  .setAction(async ({ dryRun, fresh, manifest }, hre) => {
+    // The script runs in its own process and reads its options from the environment
+    if (dryRun) {
+      process.env.DRY_RUN = "true";
+    }
+    if (fresh) {
+      process.env.FRESH_DEPLOY = "true";
+    }
+    if (manifest) {
+      process.env.DEPLOY_MANIFEST = path.resolve(manifest);
+    }
+
+    await hre.run("run", { script: DEPLOY_SCRIPT });
+  });
@@ -0,0 +1,107 @@
+// tasks/harvestScheduler.js
+const { task, types } = require("hardhat/config");
+const { decodeRevertReason } = require("../scripts/utils/txSender");
+const { loadVaults, executeVaultOperation } = require("../scripts/utils/vaultOps");
+const {
+  loadHarvestSettings,
+  readHarvestState,
+  estimateHarvestCost,
+  decideHarvest,
+  formatHarvestDecision
+} = require("../scripts/utils/harvest");
+
+// One check: read the adapters, price accrueAndFlush, print the reasoning and harvest if it pays
+async function evaluate(hre, vaults, { settings, caller, dryRun }) {
+  const state = await readHarvestState(hre, vaults);
+  const cost = await estimateHarvestCost(hre, vaults.combinedVault, caller, settings);
+  const decision = decideHarvest(state, cost, settings, vaults.asset);
+  console.log(`\n[${new Date().toISOString()}] ${formatHarvestDecision(state, cost, decision, vaults.asset)}`);
+
+  if (!decision.harvest) {
+    return decision;
+  }
+  if (dryRun) {
+    console.log("Dry run: not sending accrueAndFlush");
+    return decision;
+  }
+  await executeVaultOperation(hre, vaults, {
+    operation: "harvest",
+    description: "Accrue and flush CombinedVault",
+    contract: vaults.combinedVault,
+    method: "accrueAndFlush",
+    preview: { protocols: state.protocols, cost, interest: decision.interest, gasCost: decision.gasCost, profit: decision.profit }
+  });
+  return decision;
+}
+
+task("harvest-scheduler", "Calls CombinedVault.accrueAndFlush when the estimated interest outweighs its gas cost")
+  .addOptionalParam("interval", "Seconds between checks", 3600, types.int)
+  .addOptionalParam("minIntervalHours", "Minimum hours since the last harvest (default: network config, else 24)", undefined, types.float)
+  .addOptionalParam("minProfit", "Minimum interest left after gas, in asset units (default: network config, else 0)", undefined, types.float)
+  .addOptionalParam("nativePrice", "Price of the native token in asset units, e.g. USDC per ETH (default: network config)", undefined, types.float)
+  .addFlag("once", "Check once and exit")
+  .addFlag("dryRun", "Print the reasoning without sending transactions")
+  .setAction(async ({ interval, minIntervalHours, minProfit, nativePrice, once, dryRun }, hre) => {
+    if (!(interval > 0)) {
+      throw new Error(`--interval must be a positive number of seconds, got ${interval}`);
+    }
+    const settings = loadHarvestSettings(hre, { minIntervalHours, minProfit, nativePrice });
+    const vaults = await loadVaults(hre);
+    const { combinedVault } = vaults;
+
+    const [signer] = await hre.ethers.getSigners();
+    const [owner, authorizedCaller] = await Promise.all([combinedVault.owner(), combinedVault.authorizedCaller()]);
+    const authorized = signer && [owner, authorizedCaller].some((account) => account.toLowerCase() === signer.address.toLowerCase());
+    if (!authorized && !dryRun) {
+      throw new Error(
+        `${signer ? signer.address : "No account"} cannot call accrueAndFlush on ${hre.network.name}; ` +
+        `it must be the owner (${owner}) or the authorized caller (${authorizedCaller}). Use --dry-run to only evaluate.`
+      );
+    }
+    // A dry run with an account that may not call accrueAndFlush estimates its gas as the owner
+    const caller = authorized ? signer.address : owner;
+
+    console.log(`CombinedVault ${combinedVault.address} on ${hre.network.name}${dryRun ? " (dry run)" : `, sending as ${signer.address}`}`);
+    console.log(
+      `Minimum interval ${settings.minIntervalHours}h, minimum profit ${settings.minProfit} ${vaults.asset.symbol}, ` +
+      `native token at ${settings.nativePrice} ${vaults.asset.symbol}`
+    );
+    if (once) {
+      await evaluate(hre, vaults, { settings, caller, dryRun });
+      return;
+    }
+    console.log(`Checking every ${interval}s. Press Ctrl+C to stop.`);
+
+    let stopping = false;
+    let wake = null;
+    const stop = () => {
+      stopping = true;
+      if (wake) {
+        wake();
+      }
+    };
+    process.once("SIGINT", stop);
+    process.once("SIGTERM", stop);
+
+    // A failed check or harvest is reported and the next one runs at the next interval
+    while (!stopping) {
+      try {
+        await evaluate(hre, vaults, { settings, caller, dryRun });
+      } catch (error) {
+        console.log(`❌ Harvest check failed: ${decodeRevertReason(error)}`);
+      }
+      if (!stopping) {
+        await new Promise((resolve) => {
+          const timer = setTimeout(resolve, interval * 1000);
+          wake = () => {
+            clearTimeout(timer);
+            resolve();
+          };
+        });
+      }
+    }
+
+    process.removeListener("SIGINT", stop);
+    process.removeListener("SIGTERM", stop);
+    console.log("\nHarvest scheduler stopped.");
+  });
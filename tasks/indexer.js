@@ -0,0 +1,128 @@
+// tasks/indexer.js
+const fs = require("fs");
+const { task, types } = require("hardhat/config");
+const { formatTable } = require("../scripts/utils/table");
+const {
+  INDEXED_EVENTS,
+  defaultDbPath,
+  openIndexDb,
+  getMeta,
+  loadSources,
+  createIndexer,
+  queryEvents
+} = require("../scripts/utils/indexer");
+
+task("index", "Backfills and tails vault, registry and optimizer events into a SQLite database")
+  .addOptionalParam("db", "SQLite file (default reports/<network>/events.sqlite)", undefined, types.string)
+  .addOptionalParam("confirmations", "Blocks behind the head after which events are final", 12, types.int)
+  .addOptionalParam("fromBlock", "First block of a new database (default: the earliest recorded deployment)", undefined, types.int)
+  .addOptionalParam("batch", "Blocks per eth_getLogs request while backfilling", 2000, types.int)
+  .addOptionalParam("interval", "Seconds between polls while tailing", 15, types.int)
+  .addFlag("once", "Index up to the current head and exit")
+  .setAction(async ({ db: dbPath, confirmations, fromBlock, batch, interval, once }, hre) => {
+    if (confirmations < 0 || batch < 1 || interval < 1) {
+      throw new Error("--confirmations must be >= 0, --batch and --interval >= 1");
+    }
+    const file = dbPath || defaultDbPath(hre.network.name);
+    const { sources, missing } = await loadSources(hre);
+    if (missing.length > 0) {
+      console.log(`⚠️ Not recorded on ${hre.network.name}, not indexed: ${missing.join(", ")}`);
+    }
+    const startBlock = fromBlock !== undefined ? fromBlock : Math.min(...sources.map((source) => source.deployedAt));
+
+    const db = openIndexDb(file);
+    const indexer = createIndexer({ db, provider: hre.ethers.provider, sources, confirmations, batchSize: batch, startBlock });
+    const resumeFrom = getMeta(db, "lastIndexedBlock");
+    console.log(`Indexing ${sources.map((source) => source.name).join(", ")} on ${hre.network.name} into ${file}`);
+    console.log(resumeFrom === null ? `Starting at block ${startBlock}` : `Resuming after block ${resumeFrom}`);
+
+    let stopping = false;
+    let wake = null;
+    const stop = () => {
+      stopping = true;
+      if (wake) {
+        wake();
+      }
+    };
+    if (!once) {
+      process.once("SIGINT", stop);
+      process.once("SIGTERM", stop);
+      console.log(`Polling every ${interval}s. Press Ctrl+C to stop.`);
+    }
+
+    try {
+      do {
+        try {
+          const result = await indexer.poll();
+          console.log(
+            `[${new Date().toISOString()}] head ${result.head}, indexed through ${result.lastIndexed}: ` +
+            `${result.indexed} new events, ${result.confirmed} newly confirmed, final through ${result.safe >= 0 ? result.safe : "none"}`
+          );
+        } catch (error) {
+          if (once) {
+            throw error;
+          }
+          // An RPC failure leaves the database at the last committed block; the next poll carries on from there
+          console.log(`❌ Poll failed: ${error.message}`);
+        }
+        if (!once && !stopping) {
+          await new Promise((resolve) => {
+            const timer = setTimeout(resolve, interval * 1000);
+            wake = () => {
+              clearTimeout(timer);
+              resolve();
+            };
+          });
+        }
+      } while (!once && !stopping);
+    } finally {
+      process.removeListener("SIGINT", stop);
+      process.removeListener("SIGTERM", stop);
+      db.close();
+    }
+    if (!once) {
+      console.log("\nIndexer stopped.");
+    }
+  });
+
+task("events", "Lists indexed events, e.g. one user's history")
+  .addOptionalParam("db", "SQLite file (default reports/<network>/events.sqlite)", undefined, types.string)
+  .addOptionalParam("user", "Only events of this user", undefined, types.string)
+  .addOptionalParam("event", `Only this event (${Object.values(INDEXED_EVENTS).flat().join(", ")})`, undefined, types.string)
+  .addOptionalParam("fromBlock", "First block", undefined, types.int)
+  .addOptionalParam("toBlock", "Last block", undefined, types.int)
+  .addOptionalParam("limit", "Show at most this many of the most recent events (0 = all)", 50, types.int)
+  .addFlag("confirmedOnly", "Leave out events that are not final yet")
+  .addFlag("json", "Print JSON instead of a table")
+  .setAction(async ({ db: dbPath, user, event, fromBlock, toBlock, limit, confirmedOnly, json }, hre) => {
+    if (event && !Object.values(INDEXED_EVENTS).flat().includes(event)) {
+      throw new Error(`Unknown event "${event}"; indexed events are ${Object.values(INDEXED_EVENTS).flat().join(", ")}`);
+    }
+    const file = dbPath || defaultDbPath(hre.network.name);
+    if (!fs.existsSync(file)) {
+      throw new Error(`No index at ${file}; build it with npx hardhat index --network ${hre.network.name}`);
+    }
+    const db = openIndexDb(file);
+    try {
+      const rows = queryEvents(db, { user, event, fromBlock, toBlock, confirmedOnly, limit: limit || undefined });
+      if (json) {
+        console.log(JSON.stringify(rows, null, 2));
+        return;
+      }
+      console.log(`Indexed through block ${getMeta(db, "lastIndexedBlock")}, final through ${getMeta(db, "confirmedThroughBlock")}`);
+      if (rows.length === 0) {
+        console.log("No matching events.");
+        return;
+      }
+      console.log(formatTable(["BLOCK", "TIME", "EVENT", "USER", "ARGS", "FINAL"], rows.map((row) => [
+        row.block_number,
+        new Date(row.timestamp * 1000).toISOString(),
+        row.event,
+        row.user || "",
+        Object.entries(row.args).filter(([name]) => name !== "user").map(([name, value]) => `${name}=${value}`).join(" "),
+        row.confirmed ? "yes" : "no"
+      ])));
+    } finally {
+      db.close();
+    }
+  });
@@ -0,0 +1,147 @@
+// tasks/keeper.js
+const { task, types } = require("hardhat/config");
+const { createTxSender, decodeRevertReason } = require("../scripts/utils/txSender");
+const {
+  loadOptimizer,
+  readOptimizerState,
+  decideRotation,
+  formatEvaluation,
+  appendDecisionLog,
+  defaultLogPath
+} = require("../scripts/utils/optimizer");
+
+// Simulate, send and check optimizeYield; the outcome is added to the log entry
+async function submit(hre, context, decision) {
+  const { optimizer, registry } = context;
+  try {
+    await optimizer.callStatic.optimizeYield();
+  } catch (error) {
+    return { sent: false, reason: `optimizeYield would revert: ${decodeRevertReason(error)}` };
+  }
+
+  const result = await createTxSender(hre).send("Optimize yield", optimizer, "optimizeYield");
+  const outcome = { sent: true, txHash: result.txHash, success: result.success, gasUsed: result.gasUsed, reason: result.reason };
+  if (!result.success) {
+    return outcome;
+  }
+
+  const receipt = await hre.ethers.provider.getTransactionReceipt(result.txHash);
+  const event = receipt.logs
+    .filter((log) => log.address.toLowerCase() === optimizer.address.toLowerCase())
+    .map((log) => optimizer.interface.parseLog(log))
+    .find((parsed) => parsed.name === "OptimizedYield");
+  if (event) {
+    // The event's id arrays are zero-padded to the length of the old and new active sets
+    outcome.removed = event.args.oldProtocolIds.map(String).filter((id) => id !== "0");
+    outcome.added = event.args.newProtocolIds.map(String).filter((id) => id !== "0");
+  }
+  outcome.activeAfter = (await registry.getActiveProtocolIds({ blockTag: receipt.blockNumber })).map(String);
+  outcome.matchedPrediction = [...outcome.activeAfter].sort().join() === [...decision.expectedActive].sort().join();
+  console.log(`  Active protocols now: ${outcome.activeAfter.join(", ")}`);
+  if (!outcome.matchedPrediction) {
+    console.log(`  ⚠️ Expected ${decision.expectedActive.join(", ")}; the keeper's model of optimizeYield is out of date`);
+  }
+  return outcome;
+}
+
+// One poll: read the state, decide, maybe submit, and log the whole evaluation
+async function evaluate(hre, context, { dryRun, logFile }) {
+  const blockNumber = await hre.ethers.provider.getBlockNumber();
+  const state = await readOptimizerState(context, blockNumber);
+  const decision = decideRotation(state);
+  console.log(`\n[${new Date().toISOString()}] ${formatEvaluation(state, decision)}`);
+
+  const entry = { time: new Date().toISOString(), network: hre.network.name, ...state, decision };
+  if (decision.action === "rotate") {
+    entry.submission = dryRun ? { sent: false, reason: "dry run" } : await submit(hre, context, decision);
+    if (!entry.submission.sent) {
+      console.log(`  Not sent: ${entry.submission.reason}`);
+    }
+  }
+  appendDecisionLog(logFile, entry);
+  return entry;
+}
+
+task("keeper", "Polls protocol APYs and calls YieldOptimizer.optimizeYield when it would rotate protocols")
+  .addOptionalParam("interval", "Seconds between evaluations", 300, types.int)
+  .addOptionalParam("log", "JSON-lines file each evaluation is appended to (default reports/<network>/keeper.jsonl)", undefined, types.string)
+  .addFlag("once", "Evaluate once and exit")
+  .addFlag("dryRun", "Evaluate and log decisions without sending transactions")
+  .setAction(async ({ interval, log, once, dryRun }, hre) => {
+    if (!(interval > 0)) {
+      throw new Error(`--interval must be a positive number of seconds, got ${interval}`);
+    }
+    const context = await loadOptimizer(hre);
+    const logFile = log || defaultLogPath(hre.network.name);
+
+    const [signer] = await hre.ethers.getSigners();
+    const [owner, authorizedCaller] = await Promise.all([context.optimizer.owner(), context.optimizer.authorizedCaller()]);
+    const authorized = signer && [owner, authorizedCaller].some((account) => account.toLowerCase() === signer.address.toLowerCase());
+    if (!authorized && !dryRun) {
+      throw new Error(
+        `${signer ? signer.address : "No account"} cannot call optimizeYield on ${hre.network.name}; ` +
+        `it must be the owner (${owner}) or the authorized caller (${authorizedCaller}). Use --dry-run to only evaluate.`
+      );
+    }
+
+    console.log(`YieldOptimizer ${context.optimizer.address} on ${hre.network.name}${dryRun ? " (dry run)" : `, sending as ${signer.address}`}`);
+    console.log(`Logging decisions to ${logFile}`);
+    if (once) {
+      await evaluate(hre, context, { dryRun, logFile });
+      return;
+    }
+    console.log(`Evaluating every ${interval}s. Press Ctrl+C to stop.`);
+
+    let stopping = false;
+    let wake = null;
+    const stop = () => {
+      stopping = true;
+      if (wake) {
+        wake();
+      }
+    };
+    process.once("SIGINT", stop);
+    process.once("SIGTERM", stop);
+
+    // A failed poll (RPC outage, timeout) is logged and retried at the next interval
+    while (!stopping) {
+      try {
+        await evaluate(hre, context, { dryRun, logFile });
+      } catch (error) {
+        console.log(`❌ Evaluation failed: ${decodeRevertReason(error)}`);
+        appendDecisionLog(logFile, { time: new Date().toISOString(), network: hre.network.name, error: decodeRevertReason(error) });
+      }
+      if (!stopping) {
+        await new Promise((resolve) => {
+          const timer = setTimeout(resolve, interval * 1000);
+          wake = () => {
+            clearTimeout(timer);
+            resolve();
+          };
+        });
+      }
+    }
+
+    process.removeListener("SIGINT", stop);
+    process.removeListener("SIGTERM", stop);
+    console.log("\nKeeper stopped.");
+  });
+
+task("mock-set-apy", "Sets the APY of a mock adapter, for exercising the keeper on a local node")
+  .addParam("protocol", "Protocol id in the registry", undefined, types.int)
+  .addParam("apy", "APY in basis points (1% = 100)", undefined, types.int)
+  .setAction(async ({ protocol, apy }, hre) => {
+    const { registry, asset } = await loadOptimizer(hre);
+    const adapterAddress = await registry.getAdapter(protocol, asset);
+    // The Mock*Adapter contracts deployed by scripts/mock/mockDeploy.js all expose setAPY(asset, apy)
+    const adapter = new hre.ethers.Contract(
+      adapterAddress,
+      ["function setAPY(address asset, uint256 apy)", "function getAPY(address asset) view returns (uint256)"],
+      (await hre.ethers.getSigners())[0]
+    );
+    const result = await createTxSender(hre).send(`Set protocol ${protocol} APY to ${apy} bps`, adapter, "setAPY", [asset, apy]);
+    if (!result.success) {
+      throw new Error(`setAPY failed on ${adapterAddress}: ${result.reason}`);
+    }
+    console.log(`Protocol ${protocol} (${adapterAddress}) APY: ${await adapter.getAPY(asset)} bps`);
+  });
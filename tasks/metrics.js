@@ -0,0 +1,45 @@
+// tasks/metrics.js
+const { task, types } = require("hardhat/config");
+const {
+  defaultStorePath,
+  collectSnapshot,
+  readSnapshots,
+  appendSnapshot,
+  selectSnapshots,
+  formatMetricsReport
+} = require("../scripts/utils/metrics");
+
+task("snapshot", "Records adapter and vault metrics for every registered protocol at the latest block")
+  .addOptionalParam("store", "JSON-lines store (default reports/<network>/metrics.jsonl)", undefined, types.string)
+  .addFlag("json", "Also print the snapshot as JSON")
+  .setAction(async ({ store, json }, hre) => {
+    const file = store || defaultStorePath(hre.network.name);
+    const snapshot = await collectSnapshot(hre);
+    if (json) {
+      console.log(JSON.stringify(snapshot, null, 2));
+    }
+    if (!appendSnapshot(file, snapshot)) {
+      console.log(`⚠️ ${file} already has a snapshot of block ${snapshot.block}; nothing written`);
+      return;
+    }
+    console.log(`✅ Snapshot of block ${snapshot.block}: ${snapshot.protocols.length} protocol/asset pairs, appended to ${file}`);
+  });
+
+task("report", "Shows APY, TVL and share price history from the snapshot store")
+  .addOptionalParam("from", "First block number or date (e.g. 2026-10-01)", undefined, types.string)
+  .addOptionalParam("to", "Last block number or date", undefined, types.string)
+  .addOptionalParam("store", "JSON-lines store (default reports/<network>/metrics.jsonl)", undefined, types.string)
+  .addFlag("json", "Print the selected snapshots as JSON instead of tables")
+  .setAction(async ({ from, to, store, json }, hre) => {
+    const file = store || defaultStorePath(hre.network.name);
+    const snapshots = readSnapshots(file);
+    if (snapshots.length === 0) {
+      throw new Error(`No snapshots in ${file}; record some with npx hardhat snapshot --network ${hre.network.name}`);
+    }
+    const selected = selectSnapshots(snapshots, { from, to });
+    if (json) {
+      console.log(JSON.stringify(selected, null, 2));
+      return;
+    }
+    console.log(formatMetricsReport(selected));
+  });
@@ -0,0 +1,23 @@
+// tasks/mockExplorer.js
+const { task, types } = require("hardhat/config");
+const { startMockExplorer } = require("../scripts/mock/mockExplorer");
+
+task("mock-explorer", "Runs a local Etherscan-compatible explorer API for offline verification")
+  .addOptionalParam("port", "Port to listen on", Number(process.env.MOCK_EXPLORER_PORT || 8547), types.int)
+  .addOptionalParam("pendingPolls", "Status checks answered with \"Pending in queue\" before the verdict", 1, types.int)
+  .addOptionalParam("outcome", "Verdict for source verification: pass or fail", "pass", types.string)
+  .addOptionalParam("proxyOutcome", "Verdict for proxy linking: pass or fail", "pass", types.string)
+  .addOptionalParam("rateLimitEvery", "Answer every Nth request with a rate-limit error (0 = never)", 0, types.int)
+  .setAction(async (options) => {
+    const explorer = await startMockExplorer(options);
+    console.log(`Mock explorer listening at ${explorer.apiURL}`);
+    console.log("Press Ctrl+C to stop.");
+
+    await new Promise((resolve) => {
+      process.once("SIGINT", resolve);
+      process.once("SIGTERM", resolve);
+    });
+
+    console.log(`\nServed ${explorer.state.requests.length} requests, verified ${Object.keys(explorer.state.contracts).length} contracts.`);
+    await explorer.stop();
+  });
@@ -0,0 +1,148 @@
+// tasks/proposeUpgrade.js
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { readDeployments, recordPendingUpgrade, recordUpgrade } = require("../scripts/utils/deployments");
+const { resolveExplorer, addressURL, verifyContract } = require("../scripts/utils/explorer");
+const { resolveProxy, validateUpgradeWithDiff } = require("../scripts/utils/upgradeSafety");
+const { loadGasSettings, withFeeCaps } = require("../scripts/utils/txSender");
+const { describeProxyAdmin, upgradeTransaction, buildSafeBatch } = require("../scripts/utils/safeBatch");
+
+const PROPOSALS_DIR = path.join(__dirname, "../proposals");
+
+// "CombinedVault=CombinedVaultV2,VirtualVault" -> [{ target, contract }], contract defaulting to the recorded one
+function parseUpgrades(hre, upgrades) {
+  return upgrades.split(",").map((item) => item.trim()).filter(Boolean).map((item) => {
+    const [proxy, contract] = item.split("=");
+    const target = resolveProxy(hre, proxy);
+    return { target, contract: contract || target.contractName };
+  });
+}
+
+task("propose-upgrade", "Deploys and verifies new implementations and writes a Safe Transaction Builder batch to switch the proxies")
+  .addParam("upgrades", "Comma-separated <proxy>[=<NewContract>]; proxy is a deployment-record name or address", undefined, types.string)
+  .addOptionalParam("safe", "Safe that owns the ProxyAdmin (defaults to the ProxyAdmin owner)", undefined, types.string)
+  .addOptionalParam("calls", "JSON object of reinitializer calls per proxy, e.g. {\"CombinedVault\":{\"fn\":\"initializeV2\",\"args\":[500]}}", "{}", types.string)
+  .addOptionalParam("unsafeAllow", "Comma-separated upgrade safety checks to skip (e.g. constructor)", undefined, types.string)
+  .addOptionalParam("out", "Where to write the batch (defaults to proposals/<network>-upgrade-<timestamp>.json)", undefined, types.string)
+  .addFlag("skipVerify", "Do not verify the new implementations on the explorer")
+  .setAction(async ({ upgrades, safe, calls, unsafeAllow, out, skipVerify }, hre) => {
+    const entries = parseUpgrades(hre, upgrades);
+    const reinitializers = JSON.parse(calls);
+    const options = {
+      kind: "transparent",
+      ...(unsafeAllow ? { unsafeAllow: unsafeAllow.split(",").map((check) => check.trim()) } : {})
+    };
+    const explorer = skipVerify ? null : resolveExplorer(hre);
+    // The plugin deploys the implementations through the factory's signer, within the network's fee caps
+    const [signer] = await hre.ethers.getSigners();
+    const deployer = withFeeCaps(signer, loadGasSettings(hre));
+
+    // Phase 1: validate, deploy and verify every implementation before proposing anything
+    const prepared = [];
+    for (const { target, contract } of entries) {
+      const Factory = await hre.ethers.getContractFactory(contract, deployer);
+      const layouts = await validateUpgradeWithDiff(hre, target, contract, Factory, options);
+
+      console.log(`\nPreparing ${contract} for ${target.name}...`);
+      const implementation = await hre.upgrades.prepareUpgrade(target.address, Factory, options);
+      if (implementation.toLowerCase() === layouts.currentImplementation.toLowerCase()) {
+        console.log(`⏭️  ${target.name} already runs this implementation; leaving it out of the batch`);
+        continue;
+      }
+      console.log(`Implementation deployed at: ${implementation}`);
+
+      if (explorer) {
+        const { sourceName } = await hre.artifacts.readArtifact(contract);
+        if (!(await verifyContract(hre, explorer, { contractName: contract, sourceName, address: implementation }))) {
+          throw new Error(`Verifying ${contract} at ${implementation} failed; owners should not sign an unverified upgrade`);
+        }
+      }
+
+      const call = reinitializers[target.name];
+      const data = call ? Factory.interface.encodeFunctionData(call.fn, call.args || []) : "0x";
+      prepared.push({ target, contract, implementation, call, data });
+    }
+
+    if (prepared.length === 0) {
+      console.log("\nNothing to propose.");
+      return;
+    }
+
+    // Phase 2: one ProxyAdmin transaction per proxy, for the owners to review and sign
+    const transactions = [];
+    let owner = null;
+    for (const item of prepared) {
+      const adminAddress = await hre.upgrades.erc1967.getAdminAddress(item.target.address);
+      const admin = await describeProxyAdmin(hre.ethers.provider, adminAddress);
+      if (owner && owner.toLowerCase() !== admin.owner.toLowerCase()) {
+        throw new Error(`Proxies in one batch must share a ProxyAdmin owner (${owner} vs ${admin.owner})`);
+      }
+      owner = admin.owner;
+      transactions.push(upgradeTransaction(admin, {
+        proxy: item.target.address,
+        implementation: item.implementation,
+        data: item.data
+      }));
+    }
+
+    const safeAddress = safe || owner;
+    if (safeAddress.toLowerCase() !== owner.toLowerCase()) {
+      console.log(`⚠️  The ProxyAdmin is owned by ${owner}, not ${safeAddress}; the batch will revert unless ownership moves first`);
+    }
+
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const summary = prepared.map((item) => `${item.target.name} -> ${item.contract} (${item.implementation})`);
+    const batch = buildSafeBatch({
+      chainId,
+      safe: safeAddress,
+      name: `Upgrade ${prepared.map((item) => item.target.name).join(", ")}`,
+      description: summary.join("; "),
+      transactions
+    });
+
+    const outFile = out
+      ? path.resolve(out)
+      : path.join(PROPOSALS_DIR, `${hre.network.name}-upgrade-${new Date().toISOString().replace(/[:.]/g, "-")}.json`);
+    fs.mkdirSync(path.dirname(outFile), { recursive: true });
+    fs.writeFileSync(outFile, JSON.stringify(batch, null, 2) + "\n");
+
+    for (const item of prepared) {
+      if (item.target.recorded) {
+        recordPendingUpgrade(hre, item.target.name, item.implementation, {
+          contractName: item.contract,
+          proposal: path.relative(process.cwd(), outFile)
+        });
+      }
+    }
+
+    console.log("\n=== Upgrade Proposal ===");
+    for (const item of prepared) {
+      const link = explorer ? addressURL(explorer, item.implementation) : item.implementation;
+      const call = item.call ? `, then ${item.call.fn}(${(item.call.args || []).join(", ")})` : "";
+      console.log(`${item.target.name}: ${link}${call}`);
+    }
+    console.log(`Safe: ${safeAddress}`);
+    console.log(`Transaction Builder batch: ${outFile}`);
+    console.log("Load it in the Safe Transaction Builder, then run `npx hardhat sync-upgrades` once it is executed.");
+  });
+
+task("sync-upgrades", "Records pending upgrades from propose-upgrade once their proxies point at the new implementation")
+  .setAction(async (_, hre) => {
+    const record = readDeployments(hre.network.name);
+    const pending = Object.entries(record.contracts).filter(([, entry]) => entry.pendingUpgrade);
+    if (pending.length === 0) {
+      console.log(`No pending upgrades recorded for ${hre.network.name}`);
+      return;
+    }
+
+    for (const [name, entry] of pending) {
+      const current = await hre.upgrades.erc1967.getImplementationAddress(entry.address);
+      if (current.toLowerCase() === entry.pendingUpgrade.implementation.toLowerCase()) {
+        await recordUpgrade(hre, name, current, { contractName: entry.pendingUpgrade.contractName });
+        console.log(`✅ ${name} now runs ${entry.pendingUpgrade.contractName} at ${current}`);
+      } else {
+        console.log(`⏳ ${name} still points at ${current}; waiting on ${entry.pendingUpgrade.proposal}`);
+      }
+    }
+  });
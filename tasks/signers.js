@@ -0,0 +1,43 @@
+// tasks/signers.js
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { ethers } = require("ethers");
+const { promptHidden } = require("../scripts/utils/signers");
+
+task("create-keystore", "Encrypts a private key into a JSON keystore for the keystore signer")
+  .addOptionalParam("out", "Where to write the keystore", "keystores/deployer.json", types.string)
+  .setAction(async ({ out }) => {
+    const file = path.resolve(out);
+    if (fs.existsSync(file)) {
+      throw new Error(`${file} already exists; move it away or pass --out`);
+    }
+
+    const privateKey = (await promptHidden("Private key (hex): ")).trim();
+    const wallet = new ethers.Wallet(privateKey.startsWith("0x") ? privateKey : `0x${privateKey}`);
+    const password = await promptHidden("New keystore password: ");
+    if (password.length < 8) {
+      throw new Error("Use a keystore password of at least 8 characters");
+    }
+    if ((await promptHidden("Repeat the password: ")) !== password) {
+      throw new Error("Passwords do not match");
+    }
+
+    console.log("Encrypting...");
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, await wallet.encrypt(password), { mode: 0o600 });
+    console.log(`Keystore for ${wallet.address} written to ${file}`);
+  });
+
+task("signer", "Shows which signer the selected network uses and its account")
+  .setAction(async (_, hre) => {
+    const { signer } = hre.network.config;
+    const source = signer
+      ? (signer.type === "keystore" ? `keystore ${signer.path}` : `remote signer ${signer.url}`)
+      : "accounts in hardhat.config.js";
+    const [account] = await hre.network.provider.request({ method: "eth_accounts" });
+    if (!account) {
+      throw new Error(`No account available on ${hre.network.name} from ${source}`);
+    }
+    console.log(`${hre.network.name}: ${account} (${source})`);
+  });
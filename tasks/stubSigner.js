@@ -0,0 +1,20 @@
+// tasks/stubSigner.js
+const { task, types } = require("hardhat/config");
+const { startStubSigner } = require("../scripts/mock/stubSigner");
+
+task("stub-signer", "Runs a local JSON-RPC signer holding one test key, for trying the remote signer offline")
+  .addOptionalParam("port", "Port to listen on", Number(process.env.STUB_SIGNER_PORT || 8550), types.int)
+  .addOptionalParam("privateKey", "Key to sign with (defaults to Hardhat's first test account)", undefined, types.string)
+  .setAction(async ({ port, privateKey }) => {
+    const signer = await startStubSigner({ port, ...(privateKey ? { privateKey } : {}) });
+    console.log(`Stub signer for ${signer.address} listening at ${signer.url}`);
+    console.log("Press Ctrl+C to stop.");
+
+    await new Promise((resolve) => {
+      process.once("SIGINT", resolve);
+      process.once("SIGTERM", resolve);
+    });
+
+    console.log(`\nAnswered ${signer.state.requests.length} requests.`);
+    await signer.stop();
+  });
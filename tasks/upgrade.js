@@ -0,0 +1,82 @@
+// tasks/upgrade.js
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { recordUpgrade } = require("../scripts/utils/deployments");
+const { resolveExplorer, addressURL, verifyContract } = require("../scripts/utils/explorer");
+const { resolveProxy, validateUpgradeWithDiff } = require("../scripts/utils/upgradeSafety");
+const { loadGasSettings, withFeeCaps } = require("../scripts/utils/txSender");
+
+task("upgrade", "Validates and upgrades a transparent proxy, then verifies the new implementation")
+  .addParam("contract", "Name of the new implementation contract", undefined, types.string)
+  .addOptionalParam("proxy", "Proxy address or deployment-record name (defaults to --contract)", undefined, types.string)
+  .addOptionalParam("call", "Reinitializer to call through the proxy during the upgrade", undefined, types.string)
+  .addOptionalParam("args", "JSON array of arguments for --call", "[]", types.string)
+  .addOptionalParam("unsafeAllow", "Comma-separated upgrade safety checks to skip (e.g. constructor)", undefined, types.string)
+  .addFlag("validateOnly", "Only validate and print the storage layout diff")
+  .addFlag("skipVerify", "Do not verify the new implementation on the explorer")
+  .setAction(async ({ contract, proxy, call, args, unsafeAllow, validateOnly, skipVerify }, hre) => {
+    const callArgs = parseCallArgs(args);
+    const target = resolveProxy(hre, proxy, contract);
+    // The plugin deploys and upgrades through the factory's signer, within the network's fee caps
+    const [signer] = await hre.ethers.getSigners();
+    const Factory = await hre.ethers.getContractFactory(contract, withFeeCaps(signer, loadGasSettings(hre)));
+    const options = {
+      kind: "transparent",
+      ...(unsafeAllow ? { unsafeAllow: unsafeAllow.split(",").map((check) => check.trim()) } : {})
+    };
+
+    const layouts = await validateUpgradeWithDiff(hre, target, contract, Factory, options);
+    if (validateOnly) {
+      return;
+    }
+
+    const callOptions = call ? { call: { fn: call, args: callArgs } } : {};
+    console.log(`\nUpgrading ${target.name}${call ? ` and calling ${call}(${callArgs.join(", ")})` : ""}...`);
+    const upgraded = await hre.upgrades.upgradeProxy(target.address, Factory, { ...options, ...callOptions });
+    if (upgraded.deployTransaction) {
+      const receipt = await upgraded.deployTransaction.wait();
+      console.log(`  ⛽ Gas used for Upgrade ${target.name}: ${receipt.gasUsed.toString()} (tx ${receipt.transactionHash})`);
+    }
+
+    const implementation = await hre.upgrades.erc1967.getImplementationAddress(target.address);
+    if (implementation.toLowerCase() === layouts.currentImplementation.toLowerCase()) {
+      console.log("Implementation unchanged: the compiled bytecode matches the current one");
+    } else {
+      console.log(`New implementation: ${implementation}`);
+    }
+
+    if (target.recorded) {
+      await recordUpgrade(hre, target.name, implementation, { contractName: contract });
+      console.log(`Deployment record updated for ${target.name}`);
+    } else {
+      console.log(`${target.address} is not in the deployment record; nothing to update`);
+    }
+
+    if (skipVerify) {
+      return;
+    }
+    const explorer = resolveExplorer(hre);
+    const { sourceName } = await hre.artifacts.readArtifact(contract);
+    const verified = await verifyContract(hre, explorer, { contractName: contract, sourceName, address: implementation });
+    if (!verified) {
+      throw new Error(
+        `Upgrade succeeded but verifying ${contract} at ${implementation} failed; ` +
+        `retry with npx hardhat verify-upgradeable --network ${hre.network.name} --proxies ${contract}=${target.address}`
+      );
+    }
+    console.log(`Implementation: ${addressURL(explorer, implementation)}`);
+  });
+
+// --args as an array, checked before anything is validated or deployed
+function parseCallArgs(args) {
+  let parsed;
+  try {
+    parsed = JSON.parse(args);
+  } catch (error) {
+    throw new HardhatPluginError("upgrade", `--args is not valid JSON (${error.message}); pass a JSON array, e.g. --args '["0x...", 5]'`);
+  }
+  if (!Array.isArray(parsed)) {
+    throw new HardhatPluginError("upgrade", `--args must be a JSON array of arguments for --call, got ${args}`);
+  }
+  return parsed;
+}
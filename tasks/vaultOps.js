@@ -0,0 +1,110 @@
+// tasks/vaultOps.js
+const { task, types } = require("hardhat/config");
+const { decodeRevertReason } = require("../scripts/utils/txSender");
+const {
+  loadVaults,
+  readQueue,
+  previewFlush,
+  previewRetry,
+  formatQueue,
+  formatDeposits,
+  toPlain,
+  executeVaultOperation
+} = require("../scripts/utils/vaultOps");
+
+task("vault-status", "Shows the VirtualVault deposit queue and failed deposits")
+  .addFlag("json", "Print JSON instead of tables")
+  .setAction(async ({ json }, hre) => {
+    const vaults = await loadVaults(hre);
+    const queue = await readQueue(vaults.virtualVault);
+    if (json) {
+      console.log(JSON.stringify(toPlain({ network: hre.network.name, asset: vaults.asset, ...queue }), null, 2));
+      return;
+    }
+    console.log(`VirtualVault ${vaults.virtualVault.address} on ${hre.network.name}\n`);
+    console.log(formatQueue(queue, vaults.format));
+  });
+
+task("vault-flush", "Flushes the next batch of queued deposits from VirtualVault into CombinedVault")
+  .addFlag("preview", "Only show the users and amounts the flush would process")
+  .setAction(async ({ preview: previewOnly }, hre) => {
+    const vaults = await loadVaults(hre);
+    const queue = await readQueue(vaults.virtualVault);
+    const batch = await previewFlush(vaults.virtualVault, queue);
+    console.log(formatDeposits("Next flush batch", batch, vaults.format));
+    if (previewOnly) {
+      return;
+    }
+    if (queue.totalUsers === 0) {
+      console.log("Queue is empty; nothing to flush.");
+      return;
+    }
+
+    await executeVaultOperation(hre, vaults, {
+      operation: "flush",
+      description: "Flush VirtualVault queue",
+      contract: vaults.virtualVault,
+      method: "flushToCombinedVault",
+      preview: { batch }
+    });
+  });
+
+task("vault-retry", "Moves failed deposits back into the VirtualVault queue")
+  .addOptionalParam("maxRetries", "Skip deposits that already failed this many times", 3, types.int)
+  .addFlag("preview", "Only show the deposits that would be requeued")
+  .setAction(async ({ maxRetries, preview: previewOnly }, hre) => {
+    const vaults = await loadVaults(hre);
+    const queue = await readQueue(vaults.virtualVault);
+    const requeued = previewRetry(queue, maxRetries);
+    console.log(formatDeposits(`Requeued with max retries ${maxRetries}`, requeued, vaults.format));
+    const skipped = queue.failed.length - requeued.length;
+    if (skipped > 0) {
+      console.log(`${skipped} failed deposits have reached ${maxRetries} retries and stay failed`);
+    }
+    if (previewOnly || requeued.length === 0) {
+      return;
+    }
+
+    await executeVaultOperation(hre, vaults, {
+      operation: "retry",
+      description: `Retry failed deposits (max ${maxRetries} retries)`,
+      contract: vaults.virtualVault,
+      method: "retryFailedDeposits",
+      args: [maxRetries],
+      preview: { requeued }
+    });
+  });
+
+task("vault-accrue", "Harvests every protocol, updates the redemption rate and flushes VirtualVault")
+  .addFlag("preview", "Only simulate the harvest and show what it would do")
+  .setAction(async ({ preview: previewOnly }, hre) => {
+    const vaults = await loadVaults(hre);
+    const { combinedVault } = vaults;
+    const [rate, totalAssets, queue] = await Promise.all([
+      combinedVault.getRedemptionRate(),
+      combinedVault.totalAssets(),
+      readQueue(vaults.virtualVault)
+    ]);
+
+    let harvested;
+    try {
+      harvested = await combinedVault.callStatic.accrueAndFlush();
+    } catch (error) {
+      throw new Error(`accrueAndFlush would revert: ${decodeRevertReason(error)}`);
+    }
+    const batch = await previewFlush(vaults.virtualVault, queue);
+    console.log(`Redemption rate: ${hre.ethers.utils.formatEther(rate)}`);
+    console.log(`Total assets: ${vaults.format(totalAssets)} now, ${vaults.format(harvested)} after harvesting`);
+    console.log(formatDeposits("Flushed if the rate changes", batch, vaults.format));
+    if (previewOnly) {
+      return;
+    }
+
+    await executeVaultOperation(hre, vaults, {
+      operation: "accrue",
+      description: "Accrue and flush CombinedVault",
+      contract: combinedVault,
+      method: "accrueAndFlush",
+      preview: { redemptionRate: rate, totalAssets, harvestedAssets: harvested, batch }
+    });
+  });
@@ -0,0 +1,132 @@
+// tasks/verifyUpgradeable.js
+const fs = require("fs");
+const { task, types } = require("hardhat/config");
+const { readDeployments } = require("../scripts/utils/deployments");
+const { resolveExplorer, addressURL, verifyContract, submitStandardJson, isVerified, linkProxy } = require("../scripts/utils/explorer");
+const { readUpgradesManifest, findManifestTxHash, describeProxyContract } = require("../scripts/utils/proxyContracts");
+
+// Verify a TransparentUpgradeableProxy or ProxyAdmin deployed by the upgrades plugin
+async function verifyProxyContract(hre, explorer, manifestData, contractName, address, fallbackTxHash, polling) {
+  console.log(`\nVerifying ${contractName} at ${address}...`);
+  try {
+    if (await isVerified(explorer, address)) {
+      console.log(`✅ ${contractName} is already verified!`);
+      return true;
+    }
+
+    const txHash = findManifestTxHash(manifestData, address) || fallbackTxHash;
+    if (!txHash) {
+      console.log(`❌ No creation transaction for ${address} in .openzeppelin or the deployment record`);
+      return false;
+    }
+    const target = await describeProxyContract(hre, contractName, address, txHash);
+    return await submitStandardJson(explorer, target, polling);
+  } catch (error) {
+    console.error(`Error verifying ${contractName}:`, error.message);
+    return false;
+  }
+}
+
+// Turn "--proxies Name=0x..,0x.." into entries, naming bare addresses from the deployment record
+function parseProxies(proxies, record) {
+  return proxies.split(",").map((item) => item.trim()).filter(Boolean).map((item) => {
+    const [maybeName, maybeAddress] = item.split("=");
+    if (maybeAddress) {
+      const entry = record.contracts[maybeName];
+      return { name: maybeName, contractName: maybeName, address: maybeAddress, txHash: entry && entry.txHash };
+    }
+
+    const match = Object.entries(record.contracts).find(
+      ([, entry]) => entry.address.toLowerCase() === item.toLowerCase()
+    );
+    if (!match) {
+      throw new Error(`Unknown proxy ${item}: pass it as <ContractName>=${item} or add it to the deployment record`);
+    }
+    return { name: match[0], contractName: match[1].contractName, address: match[1].address, txHash: match[1].txHash };
+  });
+}
+
+task("verify-upgradeable", "Verifies the implementations behind upgradeable proxies on the network's explorer")
+  .addOptionalParam("proxies", "Comma-separated proxies as <ContractName>=<address> or recorded addresses", undefined, types.string)
+  .addOptionalParam("deployment", "Deployment record to read proxies from (defaults to deployments/<network>.json)", undefined, types.string)
+  .addFlag("flatten", "Submit a flattened single-file source instead of the build-info standard JSON input")
+  .addOptionalParam("pollTimeout", "Seconds to keep polling the explorer for each verification", 300, types.int)
+  .addOptionalParam("pollInterval", "Seconds before the first status check; doubles after each pending answer, up to 30", 3, types.float)
+  .addFlag("implementationsOnly", "Skip verifying the proxy and ProxyAdmin contracts and linking the proxies")
+  .setAction(async ({ proxies, deployment, flatten, pollTimeout, pollInterval, implementationsOnly }, hre) => {
+    const explorer = resolveExplorer(hre);
+    const record = deployment
+      ? JSON.parse(fs.readFileSync(deployment, "utf8"))
+      : readDeployments(hre.network.name);
+
+    const targets = proxies
+      ? parseProxies(proxies, record)
+      : Object.entries(record.contracts)
+        .filter(([, entry]) => entry.proxyKind)
+        .map(([name, entry]) => ({ name, contractName: entry.contractName, address: entry.address, txHash: entry.txHash }));
+
+    if (targets.length === 0) {
+      throw new Error(`No proxies to verify on ${hre.network.name}: pass --proxies or deploy with upgradableDeploy.js first`);
+    }
+
+    console.log(`Verifying ${targets.length} proxies on ${explorer.network} via ${explorer.apiURL}`);
+    console.log("Getting implementation addresses...");
+    for (const target of targets) {
+      target.implementation = await hre.upgrades.erc1967.getImplementationAddress(target.address);
+      target.sourceName = (await hre.artifacts.readArtifact(target.contractName)).sourceName;
+      console.log(`${target.name}: ${target.implementation}`);
+    }
+
+    const polling = { timeoutMs: pollTimeout * 1000, initialDelayMs: pollInterval * 1000 };
+    const failed = [];
+    for (const target of targets) {
+      const verified = await verifyContract(hre, explorer, {
+        contractName: target.contractName,
+        sourceName: target.sourceName,
+        address: target.implementation,
+        flatten,
+        polling
+      });
+      if (!verified) {
+        failed.push(target.name);
+      }
+    }
+
+    if (!implementationsOnly) {
+      console.log("\n=== Verifying Proxies and ProxyAdmins ===");
+      const manifestData = await readUpgradesManifest(hre);
+      const verifiedAdmins = new Set();
+
+      for (const target of targets) {
+        target.admin = await hre.upgrades.erc1967.getAdminAddress(target.address);
+        if (!verifiedAdmins.has(target.admin.toLowerCase())) {
+          verifiedAdmins.add(target.admin.toLowerCase());
+          if (!(await verifyProxyContract(hre, explorer, manifestData, "ProxyAdmin", target.admin, undefined, polling))) {
+            failed.push(`ProxyAdmin ${target.admin}`);
+          }
+        }
+
+        if (!(await verifyProxyContract(hre, explorer, manifestData, "TransparentUpgradeableProxy", target.address, target.txHash, polling))) {
+          failed.push(`${target.name} proxy`);
+          continue;
+        }
+
+        if (!(await linkProxy(explorer, { proxy: target.address, implementation: target.implementation, polling }))) {
+          failed.push(`${target.name} proxy link`);
+        }
+      }
+    }
+
+    console.log("\n=== Verification Process Complete ===");
+    for (const target of targets) {
+      console.log(`${target.name} Proxy: ${addressURL(explorer, target.address)}`);
+      console.log(`${target.name} Implementation: ${addressURL(explorer, target.implementation)}`);
+      if (target.admin) {
+        console.log(`${target.name} ProxyAdmin: ${addressURL(explorer, target.admin)}`);
+      }
+    }
+
+    if (failed.length > 0) {
+      throw new Error(`Verification failed for: ${failed.join(", ")}`);
+    }
+  });
@@ -0,0 +1,80 @@
+// test/env.js
+const assert = require("assert");
+const { parseInvocation, checkNetworkEnv } = require("../scripts/utils/env");
+
+const KEY = "59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d";
+
+describe("env", function () {
+  describe("parseInvocation", function () {
+    it("reads --network before the task", function () {
+      const invocation = parseInvocation(["--network", "scroll", "verify-upgradeable", "--skip-verify"], {});
+
+      assert.strictEqual(invocation.network, "scroll");
+      assert.strictEqual(invocation.task, "verify-upgradeable");
+      assert.deepStrictEqual(invocation.args, ["--skip-verify"]);
+    });
+
+    it("reads --network after the task", function () {
+      const invocation = parseInvocation(["verify-upgradeable", "--network", "scroll"], {});
+
+      assert.strictEqual(invocation.network, "scroll");
+      assert.strictEqual(invocation.task, "verify-upgradeable");
+    });
+
+    it("reads --network after a script passed to run", function () {
+      const invocation = parseInvocation(["run", "scripts/erc4626/erc4626Deploy.js", "--network", "baseSepolia"], {});
+
+      assert.strictEqual(invocation.network, "baseSepolia");
+      assert.strictEqual(invocation.task, "run");
+      assert.deepStrictEqual(invocation.args, ["scripts/erc4626/erc4626Deploy.js", "--network", "baseSepolia"]);
+    });
+
+    it("skips the values of other global options when finding the task", function () {
+      const invocation = parseInvocation(["--config", "hardhat.config.js", "upgrade", "--network", "sepolia"], {});
+
+      assert.strictEqual(invocation.network, "sepolia");
+      assert.strictEqual(invocation.task, "upgrade");
+    });
+
+    it("falls back to HARDHAT_NETWORK, which --network overrides", function () {
+      assert.strictEqual(parseInvocation(["check-deployment"], { HARDHAT_NETWORK: "base" }).network, "base");
+      assert.strictEqual(parseInvocation(["check-deployment", "--network", "scroll"], { HARDHAT_NETWORK: "base" }).network, "scroll");
+      assert.strictEqual(parseInvocation(["check-deployment"], {}).network, "hardhat");
+    });
+
+    it("treats an empty command line as help", function () {
+      assert.deepStrictEqual(parseInvocation([], {}), { network: "hardhat", task: "help", args: [] });
+    });
+  });
+
+  describe("checkNetworkEnv", function () {
+    const check = (argv, env) => {
+      const invocation = parseInvocation(argv, env);
+      return checkNetworkEnv(invocation.network, invocation, env);
+    };
+
+    it("names missing variables whichever side of the task --network is on", function () {
+      for (const argv of [["--network", "scroll", "verify-upgradeable"], ["verify-upgradeable", "--network", "scroll"]]) {
+        assert.deepStrictEqual(check(argv, {}), ["API_URL_SCROLL is not set", "ETHERSCAN_API_KEY_SCROLL is not set"]);
+      }
+    });
+
+    it("checks a script run against a network named after it", function () {
+      const problems = check(["run", "scripts/erc4626/erc4626Deploy.js", "--network", "baseSepolia"], { API_URL_BASE_SEPOLIA: "not a url" });
+
+      assert.deepStrictEqual(problems, ["API_URL_BASE_SEPOLIA is not an http(s) or ws(s) URL", "PRIVATE_KEY is not set"]);
+    });
+
+    it("checks the HARDHAT_NETWORK network when --network is absent", function () {
+      assert.deepStrictEqual(check(["check-deployment"], { HARDHAT_NETWORK: "sepolia" }), ["API_URL_SEPOLIA is not set"]);
+    });
+
+    it("passes a complete environment and skips offline tasks", function () {
+      const env = { API_URL_BASE_SEPOLIA: "https://base-sepolia.example", PRIVATE_KEY: KEY };
+
+      assert.deepStrictEqual(check(["run", "scripts/erc4626/erc4626Deploy.js", "--network", "baseSepolia"], env), []);
+      assert.deepStrictEqual(check(["compile", "--network", "scroll"], {}), []);
+      assert.deepStrictEqual(check(["test"], {}), []);
+    });
+  });
+});
@@ -0,0 +1,67 @@
+// test/gasReport.js
+const assert = require("assert");
+const { ethers, network, artifacts } = require("hardhat");
+const { readL1Fee, estimateL1Fee, L1_FEE_ORACLES } = require("../scripts/utils/gasReport");
+
+describe("L1 data fee", function () {
+  // The mock oracle answers keccak256 of the bytes it was asked to price
+  const priced = (bytes) => ethers.BigNumber.from(ethers.utils.keccak256(bytes));
+  let deployer;
+  let snapshot;
+
+  before(async function () {
+    [deployer] = await ethers.getSigners();
+  });
+
+  beforeEach(async function () {
+    snapshot = await network.provider.send("evm_snapshot");
+    const { deployedBytecode } = await artifacts.readArtifact("MockL1GasPriceOracle");
+    for (const address of Object.values(L1_FEE_ORACLES)) {
+      await network.provider.send("hardhat_setCode", [address, deployedBytecode]);
+    }
+  });
+
+  afterEach(async function () {
+    await network.provider.send("evm_revert", [snapshot]);
+  });
+
+  for (const rollup of Object.keys(L1_FEE_ORACLES)) {
+    it(`prices a mined tx's unsigned encoding on ${rollup}`, async function () {
+      const sent = await deployer.sendTransaction({ to: deployer.address, value: 1, data: "0x1234" });
+      const receipt = await sent.wait();
+      const tx = await ethers.provider.getTransaction(sent.hash);
+      const fields = {
+        type: 2,
+        chainId: tx.chainId,
+        nonce: tx.nonce,
+        gasLimit: tx.gasLimit,
+        to: deployer.address,
+        value: 1,
+        data: "0x1234",
+        maxFeePerGas: tx.maxFeePerGas,
+        maxPriorityFeePerGas: tx.maxPriorityFeePerGas,
+        accessList: []
+      };
+
+      const fee = await readL1Fee(ethers.provider, rollup, sent.hash, receipt.blockNumber);
+
+      assert(fee.eq(priced(ethers.utils.serializeTransaction(fields))), "the oracle was not given the unsigned encoding");
+      // The fields are the mined tx's own: signed, they hash to its hash
+      const signed = ethers.utils.serializeTransaction(fields, { r: tx.r, s: tx.s, v: tx.v });
+      assert.strictEqual(ethers.utils.keccak256(signed), tx.hash);
+      assert(!fee.eq(priced(signed)));
+    });
+  }
+
+  it("prices a planned tx's unsigned encoding", async function () {
+    const planned = { type: 0, chainId: 534352, nonce: 7, gasLimit: 100000, gasPrice: 1000000, to: deployer.address, data: "0xabcdef" };
+
+    const fee = await estimateL1Fee(ethers.provider, "scroll", planned);
+
+    assert(fee.eq(priced(ethers.utils.serializeTransaction(planned))));
+  });
+
+  it("charges nothing off rollups", async function () {
+    assert(ethers.BigNumber.from(0).eq(await estimateL1Fee(ethers.provider, undefined, { type: 0, chainId: 1 })));
+  });
+});
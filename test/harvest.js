@@ -0,0 +1,78 @@
+// test/harvest.js
+const assert = require("assert");
+const { ethers } = require("ethers");
+const { decideHarvest } = require("../scripts/utils/harvest");
+
+const usdc = (amount) => ethers.utils.parseUnits(amount, 6);
+const eth = (amount) => ethers.utils.parseEther(amount);
+
+const ASSET = { decimals: 6, symbol: "USDC" };
+const SETTINGS = { minIntervalHours: 24, minProfit: 1, nativePrice: 2500 };
+const HOUR = 3600;
+
+const protocol = (id, interest, hoursSinceHarvest = 48) => ({
+  id,
+  name: `Protocol ${id}`,
+  estimatedInterest: interest === null ? null : usdc(interest),
+  timeSinceLastHarvest: hoursSinceHarvest * HOUR
+});
+const state = (protocols) => ({ blockNumber: 1, protocols });
+// accrueAndFlush cost: execution fee plus the L1 data fee, in ETH
+const cost = (executionFee, l1Fee = "0") => ({
+  gasLimit: ethers.BigNumber.from(200000),
+  gasPrice: eth(executionFee).div(200000),
+  executionFee: eth(executionFee),
+  l1Fee: eth(l1Fee),
+  totalFee: eth(executionFee).add(eth(l1Fee))
+});
+
+describe("harvest decisions", function () {
+  it("harvests when the interest pays for the gas", function () {
+    // 0.001 ETH at 2500 USDC/ETH = 2.5 USDC of gas against 10 USDC of interest
+    const decision = decideHarvest(state([protocol("1", "6"), protocol("2", "4")]), cost("0.001"), SETTINGS, ASSET);
+
+    assert.strictEqual(decision.harvest, true);
+    assert(decision.interest.eq(usdc("10")));
+    assert(decision.gasCost.eq(usdc("2.5")));
+    assert(decision.profit.eq(usdc("7.5")));
+  });
+
+  it("skips when the gas costs more than the interest", function () {
+    const decision = decideHarvest(state([protocol("1", "2")]), cost("0.001"), SETTINGS, ASSET);
+
+    assert.strictEqual(decision.due, true);
+    assert.strictEqual(decision.profitable, false);
+    assert.strictEqual(decision.harvest, false);
+    assert(decision.profit.eq(usdc("-0.5")));
+  });
+
+  it("skips when there is no interest, even with free gas and no minimum profit", function () {
+    const decision = decideHarvest(state([protocol("1", "0"), protocol("2", null)]), cost("0"), { ...SETTINGS, minProfit: 0 }, ASSET);
+
+    assert.strictEqual(decision.harvest, false);
+    assert(decision.interest.isZero());
+    assert(decision.reasons.some((reason) => /no interest estimate from protocol 2; counted as 0/.test(reason)));
+  });
+
+  it("counts the L1 data fee in the gas cost", function () {
+    // 3 USDC of interest covers 0.0004 ETH of execution (1 USDC) with the minimum profit to spare,
+    // but not once 0.0006 ETH of L1 data fee (1.5 USDC) is added
+    const protocols = state([protocol("1", "3")]);
+    assert.strictEqual(decideHarvest(protocols, cost("0.0004"), SETTINGS, ASSET).harvest, true);
+
+    const decision = decideHarvest(protocols, cost("0.0004", "0.0006"), SETTINGS, ASSET);
+    assert(decision.gasCost.eq(usdc("2.5")));
+    assert(decision.profit.eq(usdc("0.5")));
+    assert.strictEqual(decision.profitable, false);
+    assert.strictEqual(decision.harvest, false);
+  });
+
+  it("waits for the minimum interval since the last harvest", function () {
+    const decision = decideHarvest(state([protocol("1", "10", 30), protocol("2", "10", 12)]), cost("0.001"), SETTINGS, ASSET);
+
+    assert.strictEqual(decision.due, false);
+    assert.strictEqual(decision.profitable, true);
+    assert.strictEqual(decision.harvest, false);
+    assert.match(decision.reasons[0], /last harvest 12\.0h ago, minimum interval 24h/);
+  });
+});
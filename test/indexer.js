@@ -0,0 +1,134 @@
+// test/indexer.js
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers, network, upgrades } = require("hardhat");
+const { INDEXED_EVENTS, openIndexDb, getMeta, createIndexer, queryEvents } = require("../scripts/utils/indexer");
+
+const CONFIRMATIONS = 3;
+
+describe("event indexer", function () {
+  this.timeout(120000);
+  let tmpDir;
+  let registry;
+  let sources;
+  let db;
+  let indexer;
+  let nextId = 1;
+
+  const mine = (blocks) => network.provider.send("hardhat_mine", [ethers.utils.hexValue(blocks)]);
+  const snapshot = () => network.provider.send("evm_snapshot");
+  const revert = (id) => network.provider.send("evm_revert", [id]);
+  // A ProtocolRegistered event in a block of its own; returns that block's number
+  const register = async (name) => (await (await registry.registerProtocol(nextId++, name)).wait()).blockNumber;
+  const names = () => queryEvents(db).map((row) => row.args.name);
+  const storedBlocks = () => db.prepare("SELECT number FROM blocks ORDER BY number").all().map((row) => row.number);
+
+  before(async function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "indexer-"));
+    const Factory = await ethers.getContractFactory("ProtocolRegistry");
+    registry = await upgrades.deployProxy(Factory, [], { kind: "transparent", initializer: "initialize" });
+    const { blockNumber } = await registry.deployTransaction.wait();
+    // The same shape loadSources builds from the deployment record
+    sources = [{
+      name: "ProtocolRegistry",
+      address: registry.address,
+      interface: registry.interface,
+      events: INDEXED_EVENTS.ProtocolRegistry,
+      deployedAt: blockNumber
+    }];
+  });
+
+  after(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  beforeEach(async function () {
+    db = openIndexDb(path.join(tmpDir, `events-${nextId}.sqlite`));
+    indexer = createIndexer({
+      db,
+      provider: ethers.provider,
+      sources,
+      confirmations: CONFIRMATIONS,
+      // Each test indexes only the blocks it mines
+      startBlock: (await ethers.provider.getBlockNumber()) + 1,
+      log: () => {}
+    });
+  });
+
+  afterEach(function () {
+    db.close();
+  });
+
+  it("confirms events once they are `confirmations` blocks deep", async function () {
+    const block = await register("Aave");
+    let result = await indexer.poll();
+    assert.strictEqual(result.indexed, 1);
+    assert.strictEqual(result.confirmed, 0);
+    assert.deepStrictEqual(queryEvents(db).map((row) => [row.event, row.block_number, row.confirmed]), [["ProtocolRegistered", block, false]]);
+    assert(storedBlocks().includes(block));
+
+    await mine(CONFIRMATIONS - 1);
+    result = await indexer.poll();
+    assert.strictEqual(result.confirmed, 0);
+    assert.strictEqual(queryEvents(db, { confirmedOnly: true }).length, 0);
+
+    await mine(1);
+    result = await indexer.poll();
+    assert.strictEqual(result.safe, block);
+    assert.strictEqual(result.confirmed, 1);
+    assert.strictEqual(queryEvents(db)[0].confirmed, true);
+    assert.strictEqual(getMeta(db, "confirmedThroughBlock"), block);
+    // Hashes are only kept for blocks that can still be reorged
+    assert(storedBlocks().every((number) => number > block));
+  });
+
+  it("deletes and reindexes unconfirmed events from the block whose hash changed", async function () {
+    await register("Final");
+    await mine(CONFIRMATIONS);
+    await indexer.poll();
+
+    const id = await snapshot();
+    const fork = await register("Orphaned");
+    await register("Orphaned too");
+    await indexer.poll();
+    assert.deepStrictEqual(names(), ["Final", "Orphaned", "Orphaned too"]);
+
+    // A different chain from the fork block on, as long as the one it replaces
+    await revert(id);
+    assert.strictEqual(await register("Replacement"), fork);
+    await mine(1);
+
+    const result = await indexer.poll();
+    assert.deepStrictEqual(result.reorg, { block: fork, removedEvents: 2 });
+    assert.strictEqual(result.indexed, 1);
+    assert.deepStrictEqual(names(), ["Final", "Replacement"]);
+    const replacement = queryEvents(db, { fromBlock: fork })[0];
+    assert.strictEqual(replacement.block_hash, (await ethers.provider.getBlock(fork)).hash);
+    assert.strictEqual(replacement.confirmed, false);
+    assert.strictEqual(queryEvents(db, { confirmedOnly: true }).length, 1);
+
+    await mine(CONFIRMATIONS);
+    const later = await indexer.poll();
+    assert.strictEqual(later.reorg, null);
+    assert.strictEqual(queryEvents(db, { fromBlock: fork })[0].confirmed, true);
+    assert.deepStrictEqual(names(), ["Final", "Replacement"]);
+  });
+
+  it("rolls back when the chain gets shorter than what was indexed", async function () {
+    await mine(CONFIRMATIONS);
+    await indexer.poll();
+
+    const id = await snapshot();
+    const fork = await register("Gone");
+    await indexer.poll();
+    await revert(id);
+
+    const result = await indexer.poll();
+    assert.deepStrictEqual(result.reorg, { block: fork, removedEvents: 1 });
+    assert.strictEqual(result.lastIndexed, fork - 1);
+    assert.deepStrictEqual(names(), []);
+    assert(storedBlocks().every((number) => number < fork));
+  });
+});
@@ -0,0 +1,269 @@
+// test/optimizer.js
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { recordDeployment } = require("../scripts/utils/deployments");
+const { rankProtocols, decideRotation } = require("../scripts/utils/optimizer");
+
+const { ethers, network, upgrades } = hre;
+const bn = ethers.BigNumber.from;
+
+const protocol = (id, apy, active = false) => ({ id, name: `Protocol ${id}`, hasAdapter: true, apy: bn(apy), active });
+const state = (protocols, { minApyDifference = 0, targetActiveProtocolCount = 1 } = {}) => ({
+  blockNumber: 1,
+  activeIds: protocols.filter((entry) => entry.active).map((entry) => entry.id),
+  activeApys: [],
+  minApyDifference: bn(minApyDifference),
+  targetActiveProtocolCount,
+  protocols
+});
+const ids = (protocols) => protocols.map((entry) => entry.id);
+
+describe("optimizer rotation decisions", function () {
+  describe("rankProtocols", function () {
+    it("orders by APY, highest first", function () {
+      assert.deepStrictEqual(ids(rankProtocols([protocol("1", 100), protocol("2", 300), protocol("3", 200)])), ["2", "3", "1"]);
+    });
+
+    it("breaks ties the way optimizeYield's selection sort does", function () {
+      // Swapping 3 to the front moves 1 behind its equal 2, so the input order of ties is not kept
+      assert.deepStrictEqual(ids(rankProtocols([protocol("1", 500), protocol("2", 500), protocol("3", 700)])), ["3", "2", "1"]);
+    });
+  });
+
+  describe("decideRotation", function () {
+    it("holds when the active protocols are already the top N", function () {
+      const decision = decideRotation(state([protocol("1", 300, true), protocol("2", 200)]));
+      assert.strictEqual(decision.action, "hold");
+      assert.match(decision.reason, /already the top 1/);
+    });
+
+    it("rotates to a better protocol", function () {
+      const decision = decideRotation(state([protocol("1", 300, true), protocol("2", 400)]));
+      assert.strictEqual(decision.action, "rotate");
+      assert.deepStrictEqual(ids(decision.add), ["2"]);
+      assert.deepStrictEqual(ids(decision.remove), ["1"]);
+      assert.deepStrictEqual(decision.expectedActive, ["2"]);
+      assert(decision.gain.eq(100));
+    });
+
+    it("never rotates between equal APYs, even when the sort ranks the inactive one first", function () {
+      const decision = decideRotation(state([protocol("2", 500), protocol("1", 500, true)]));
+      assert.deepStrictEqual(decision.ranking, ["2", "1"]);
+      assert.strictEqual(decision.action, "hold");
+      assert.match(decision.reason, /by 0 bps, below the 1 bps minimum/);
+    });
+
+    it("holds while the gain is below minApyDifference and rotates once it reaches it", function () {
+      const below = decideRotation(state([protocol("1", 500, true), protocol("2", 599)], { minApyDifference: 100 }));
+      assert.strictEqual(below.action, "hold");
+      assert.match(below.reason, /by 99 bps, below the 100 bps minimum/);
+
+      const at = decideRotation(state([protocol("1", 500, true), protocol("2", 600)], { minApyDifference: 100 }));
+      assert.strictEqual(at.action, "rotate");
+      assert(at.gain.eq(100));
+    });
+
+    it("compares the weakest incoming protocol with the strongest outgoing one", function () {
+      const decision = decideRotation(state(
+        [protocol("1", 500, true), protocol("2", 450, true), protocol("3", 700), protocol("4", 520)],
+        { minApyDifference: 50, targetActiveProtocolCount: 2 }
+      ));
+      // 4 beats 1 by only 20 bps, so the swap is not worth it even though 3 is far ahead
+      assert.strictEqual(decision.action, "hold");
+      assert.match(decision.reason, /protocol 4 beats 1 by 20 bps, below the 50 bps minimum/);
+    });
+
+    it("adds protocols when fewer than targetActiveProtocolCount are active", function () {
+      const decision = decideRotation(state(
+        [protocol("1", 500, true), protocol("2", 400), protocol("3", 300)],
+        { minApyDifference: 1000, targetActiveProtocolCount: 2 }
+      ));
+      // Nothing is removed, so minApyDifference does not apply
+      assert.strictEqual(decision.action, "rotate");
+      assert.match(decision.reason, /fewer than 2 protocols active/);
+      assert.deepStrictEqual(ids(decision.add), ["2"]);
+      assert.deepStrictEqual(decision.expectedActive, ["1", "2"]);
+    });
+
+    it("removes protocols when more than targetActiveProtocolCount are active", function () {
+      const decision = decideRotation(state([protocol("1", 500, true), protocol("2", 400, true), protocol("3", 300)]));
+      assert.strictEqual(decision.action, "rotate");
+      assert.match(decision.reason, /more than 1 protocols active/);
+      assert.deepStrictEqual(ids(decision.remove), ["2"]);
+      assert.deepStrictEqual(decision.expectedActive, ["1"]);
+    });
+
+    it("skips when targetActiveProtocolCount is 0", function () {
+      const decision = decideRotation(state([protocol("1", 500, true), protocol("2", 600)], { targetActiveProtocolCount: 0 }));
+      assert.strictEqual(decision.action, "skip");
+      assert.match(decision.reason, /targetActiveProtocolCount is 0/);
+    });
+
+    it("skips when a registered protocol has no adapter, since optimizeYield would revert", function () {
+      const missing = { id: "3", name: "Protocol 3", hasAdapter: false, apy: null, active: false };
+      const decision = decideRotation(state([protocol("1", 300, true), protocol("2", 900), missing]));
+      assert.strictEqual(decision.action, "skip");
+      assert.match(decision.reason, /protocol 3 has no adapter for the asset; optimizeYield would revert with "Adapter not found"/);
+      assert.deepStrictEqual(decision.add, []);
+      assert.deepStrictEqual(decision.remove, []);
+    });
+  });
+});
+
+describe("keeper against mock adapters", function () {
+  this.timeout(120000);
+  const AAVE = 1;
+  const COMPOUND = 2;
+  const LAYERBANK = 3;
+  let tmpDir;
+  let usdc;
+  let registry;
+  let optimizer;
+  let adapters;
+  let snapshot;
+
+  const readLog = (file) => fs.readFileSync(file, "utf8").trim().split("\n").map((line) => JSON.parse(line));
+  const optimizations = async () => (await optimizer.queryFilter(optimizer.filters.OptimizedYield())).length;
+  const activeIds = async () => (await registry.getActiveProtocolIds()).map(String);
+
+  // One keeper evaluation; returns its log entry
+  let runs = 0;
+  const runKeeper = async (options = {}) => {
+    const log = path.join(tmpDir, `keeper-${++runs}.jsonl`);
+    await hre.run("keeper", { once: true, log, interval: 300, dryRun: false, ...options });
+    const entries = readLog(log);
+    assert.strictEqual(entries.length, 1);
+    return entries[0];
+  };
+
+  before(async function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "keeper-"));
+    process.env.DEPLOYMENTS_DIR = tmpDir;
+    const [owner, treasury] = await ethers.getSigners();
+
+    usdc = await (await ethers.getContractFactory("MockUSDC")).deploy();
+    registry = await upgrades.deployProxy(await ethers.getContractFactory("ProtocolRegistry"), [], { kind: "transparent", initializer: "initialize" });
+    adapters = {
+      [AAVE]: await (await ethers.getContractFactory("MockAaveAdapter")).deploy(usdc.address),
+      [COMPOUND]: await (await ethers.getContractFactory("MockCompoundAdapter")).deploy(usdc.address),
+      [LAYERBANK]: await (await ethers.getContractFactory("MockLayerBankAdapter")).deploy(usdc.address)
+    };
+    await adapters[AAVE].addSupportedAsset(usdc.address, usdc.address);
+    await adapters[COMPOUND].addSupportedAsset(usdc.address);
+    await adapters[LAYERBANK].addSupportedAsset(usdc.address, usdc.address);
+    for (const [id, name] of [[AAVE, "Mock Aave"], [COMPOUND, "Mock Compound"], [LAYERBANK, "Mock LayerBank"]]) {
+      await usdc.addMinter(adapters[id].address);
+      await registry.registerProtocol(id, name);
+      await registry.registerAdapter(id, usdc.address, adapters[id].address);
+    }
+    await registry.addActiveProtocol(LAYERBANK);
+
+    const vault = await upgrades.deployProxy(
+      await ethers.getContractFactory("CombinedVault"),
+      [usdc.address, registry.address, treasury.address, 0],
+      { kind: "transparent", initializer: "initialize" }
+    );
+    optimizer = await upgrades.deployProxy(
+      await ethers.getContractFactory("YieldOptimizer"),
+      [vault.address, usdc.address],
+      { kind: "transparent", initializer: "initialize" }
+    );
+    await registry.setAuthorizedCaller(vault.address);
+    await vault.setAuthorizedCaller(optimizer.address);
+    await recordDeployment(hre, "YieldOptimizer", optimizer, { proxyKind: "transparent" });
+    assert.strictEqual(await optimizer.owner(), owner.address);
+  });
+
+  after(function () {
+    delete process.env.DEPLOYMENTS_DIR;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  // Every test starts from LayerBank active and the APYs below
+  beforeEach(async function () {
+    await adapters[AAVE].setAPY(usdc.address, 300);
+    await adapters[COMPOUND].setAPY(usdc.address, 200);
+    await adapters[LAYERBANK].setAPY(usdc.address, 100);
+    snapshot = await network.provider.send("evm_snapshot");
+  });
+
+  afterEach(async function () {
+    await network.provider.send("evm_revert", [snapshot]);
+  });
+
+  it("rotates to the highest APY and confirms the prediction", async function () {
+    const entry = await runKeeper();
+    assert.strictEqual(entry.decision.action, "rotate");
+    assert.strictEqual(entry.submission.sent, true);
+    assert.strictEqual(entry.submission.success, true);
+    assert.deepStrictEqual(entry.submission.added, [String(AAVE)]);
+    assert.deepStrictEqual(entry.submission.removed, [String(LAYERBANK)]);
+    assert.strictEqual(entry.submission.matchedPrediction, true);
+    assert.deepStrictEqual(await activeIds(), [String(AAVE)]);
+    assert.strictEqual(await optimizations(), 1);
+  });
+
+  it("sends nothing once the best protocol is active", async function () {
+    await runKeeper();
+    const entry = await runKeeper();
+    assert.strictEqual(entry.decision.action, "hold");
+    assert.strictEqual(entry.submission, undefined);
+    assert.strictEqual(await optimizations(), 1);
+  });
+
+  it("rotates after an APY change only when the gain reaches minApyDifference", async function () {
+    await runKeeper();
+    await optimizer.setMinApyDifference(100);
+
+    await hre.run("mock-set-apy", { protocol: COMPOUND, apy: 350 });
+    const below = await runKeeper();
+    assert.strictEqual(below.decision.action, "hold");
+    assert.match(below.decision.reason, /by 50 bps, below the 100 bps minimum/);
+    assert.strictEqual(await optimizations(), 1);
+
+    await hre.run("mock-set-apy", { protocol: COMPOUND, apy: 400 });
+    const at = await runKeeper();
+    assert.strictEqual(at.decision.action, "rotate");
+    assert.strictEqual(at.submission.success, true);
+    assert.deepStrictEqual(await activeIds(), [String(COMPOUND)]);
+    assert.strictEqual(await optimizations(), 2);
+  });
+
+  it("does not rotate between equal APYs", async function () {
+    await runKeeper();
+    await hre.run("mock-set-apy", { protocol: COMPOUND, apy: 300 });
+    const entry = await runKeeper();
+    assert.strictEqual(entry.decision.action, "hold");
+    assert.deepStrictEqual(await activeIds(), [String(AAVE)]);
+    assert.strictEqual(await optimizations(), 1);
+  });
+
+  it("keeps the top targetActiveProtocolCount protocols active", async function () {
+    await optimizer.setTargetActiveProtocolCount(2);
+    const entry = await runKeeper();
+    assert.strictEqual(entry.decision.action, "rotate");
+    assert.strictEqual(entry.submission.matchedPrediction, true);
+    assert.deepStrictEqual([...(await activeIds())].sort(), [String(AAVE), String(COMPOUND)]);
+  });
+
+  it("skips while a registered protocol has no adapter", async function () {
+    await registry.registerProtocol(4, "No adapter");
+    const entry = await runKeeper();
+    assert.strictEqual(entry.decision.action, "skip");
+    assert.match(entry.decision.reason, /Adapter not found/);
+    assert.strictEqual(entry.submission, undefined);
+    await assert.rejects(optimizer.callStatic.optimizeYield(), /Adapter not found/);
+    assert.deepStrictEqual(await activeIds(), [String(LAYERBANK)]);
+    assert.strictEqual(await optimizations(), 0);
+  });
+
+  it("logs the rotation without sending it on a dry run", async function () {
+    const entry = await runKeeper({ dryRun: true });
+    assert.strictEqual(entry.decision.action, "rotate");
+    assert.deepStrictEqual(entry.submission, { sent: false, reason: "dry run" });
+    assert.strictEqual(await optimizations(), 0);
+  });
+});
@@ -0,0 +1,94 @@
+// test/signers.js
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers, network } = require("hardhat");
+const { withExternalSigner } = require("../scripts/utils/signers");
+const { startStubSigner } = require("../scripts/mock/stubSigner");
+
+describe("external signers", function () {
+  describe("keystore", function () {
+    let dir;
+
+    before(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "keystore-"));
+    });
+
+    after(function () {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("does not touch a missing keystore until an account is asked for", async function () {
+      const file = path.join(dir, "missing.json");
+      const provider = withExternalSigner(network.provider, { type: "keystore", path: file });
+
+      assert.strictEqual(await provider.request({ method: "eth_chainId" }), "0x7a69");
+      await assert.rejects(provider.request({ method: "eth_accounts" }), /Keystore .*missing\.json not found/);
+    });
+
+    it("reads the address from the file and signs with the decrypted key", async function () {
+      const wallet = ethers.Wallet.createRandom();
+      const file = path.join(dir, "deployer.json");
+      fs.writeFileSync(file, await wallet.encrypt("test password", { scrypt: { N: 1024 } }));
+      process.env.KEYSTORE_PASSWORD = "test password";
+      try {
+        const provider = withExternalSigner(network.provider, { type: "keystore", path: file });
+        assert.deepStrictEqual(await provider.request({ method: "eth_accounts" }), [wallet.address]);
+
+        const message = ethers.utils.hexlify(ethers.utils.toUtf8Bytes("hello"));
+        const signature = await provider.request({ method: "personal_sign", params: [message, wallet.address] });
+        assert.strictEqual(ethers.utils.verifyMessage("hello", signature), wallet.address);
+      } finally {
+        delete process.env.KEYSTORE_PASSWORD;
+      }
+    });
+  });
+
+  describe("remote", function () {
+    let stub;
+    let provider;
+
+    beforeEach(async function () {
+      // A key the hardhat network does not hold, so only the stub signer can sign for it
+      stub = await startStubSigner({ privateKey: ethers.Wallet.createRandom().privateKey });
+      provider = new ethers.providers.Web3Provider(withExternalSigner(network.provider, { type: "remote", url: stub.url }));
+      const [funder] = await ethers.getSigners();
+      await (await funder.sendTransaction({ to: stub.address, value: ethers.utils.parseEther("1") })).wait();
+    });
+
+    afterEach(async function () {
+      await stub.stop();
+    });
+
+    it("signs through the remote signer and broadcasts the raw transaction", async function () {
+      const signer = provider.getSigner();
+      assert.strictEqual(await signer.getAddress(), stub.address);
+
+      const recipient = ethers.Wallet.createRandom().address;
+      const { maxFeePerGas, maxPriorityFeePerGas } = await provider.getFeeData();
+      const tx = await signer.sendTransaction({ to: recipient, value: 1000, maxFeePerGas, maxPriorityFeePerGas });
+      const receipt = await tx.wait();
+
+      assert.strictEqual(receipt.status, 1);
+      assert.strictEqual(receipt.from, stub.address);
+      assert.strictEqual((await provider.getBalance(recipient)).toNumber(), 1000);
+      assert.deepStrictEqual(
+        stub.state.requests.map((request) => request.method),
+        ["eth_accounts", "eth_signTransaction"]
+      );
+    });
+
+    it("surfaces a refusal from the remote signer", async function () {
+      await stub.stop();
+      stub = await startStubSigner({ refuse: ["eth_signTransaction"] });
+      provider = new ethers.providers.Web3Provider(withExternalSigner(network.provider, { type: "remote", url: stub.url }));
+
+      const { maxFeePerGas, maxPriorityFeePerGas } = await provider.getFeeData();
+      await assert.rejects(
+        provider.getSigner().sendTransaction({ to: stub.address, value: 1, maxFeePerGas, maxPriorityFeePerGas }),
+        /Remote signer refused eth_signTransaction/
+      );
+    });
+  });
+});
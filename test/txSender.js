@@ -0,0 +1,58 @@
+// test/txSender.js
+const assert = require("assert");
+const { ethers, upgrades } = require("hardhat");
+const { withFeeCaps } = require("../scripts/utils/txSender");
+
+describe("fee-capped signer", function () {
+  const gasSettings = (maxFeeGwei, maxPriorityFeeGwei) => ({
+    network: "hardhat",
+    multiplier: 1.2,
+    maxFeePerGas: ethers.utils.parseUnits(String(maxFeeGwei), "gwei"),
+    maxPriorityFeePerGas: ethers.utils.parseUnits(String(maxPriorityFeeGwei), "gwei")
+  });
+  let deployer;
+
+  before(async function () {
+    [deployer] = await ethers.getSigners();
+  });
+
+  it("sends the upgrades plugin's deployments with capped fees", async function () {
+    const settings = gasSettings(2, 0.01);
+    const Factory = await ethers.getContractFactory("ProtocolRegistry", withFeeCaps(deployer, settings));
+    // Other suites may have deployed this implementation already; the plugin would reuse it
+    const proxy = await upgrades.deployProxy(Factory, [], { kind: "transparent", initializer: "initialize", redeployImplementation: "always" });
+
+    const implementation = await upgrades.erc1967.getImplementationAddress(proxy.address);
+    const implementationTx = await findCreation(implementation);
+    for (const tx of [proxy.deployTransaction, implementationTx]) {
+      assert(tx.maxFeePerGas.lte(settings.maxFeePerGas), `maxFeePerGas ${tx.maxFeePerGas} above the cap`);
+      assert(tx.maxPriorityFeePerGas.lte(settings.maxPriorityFeePerGas), `maxPriorityFeePerGas ${tx.maxPriorityFeePerGas} above the cap`);
+    }
+    assert.strictEqual(await proxy.owner(), deployer.address);
+  });
+
+  it("refuses to deploy while the base fee is above the cap", async function () {
+    const { baseFeePerGas } = await ethers.provider.getBlock("latest");
+    const cap = ethers.utils.formatUnits(baseFeePerGas.div(2), "gwei");
+    const Factory = await ethers.getContractFactory("ProtocolRegistry", withFeeCaps(deployer, gasSettings(cap, 0)));
+    const nonce = await deployer.getTransactionCount();
+
+    await assert.rejects(
+      upgrades.deployProxy(Factory, [], { kind: "transparent", initializer: "initialize", redeployImplementation: "always" }),
+      /Base fee .* is above the .* maxFeePerGas cap for hardhat/
+    );
+    assert.strictEqual(await deployer.getTransactionCount(), nonce);
+  });
+});
+
+// The transaction that created `address`, searched from the latest block back
+async function findCreation(address) {
+  for (let number = await ethers.provider.getBlockNumber(); number >= 0; number--) {
+    const block = await ethers.provider.getBlockWithTransactions(number);
+    const tx = block.transactions.find((candidate) => candidate.creates && candidate.creates.toLowerCase() === address.toLowerCase());
+    if (tx) {
+      return tx;
+    }
+  }
+  throw new Error(`No creation transaction for ${address}`);
+}
@@ -0,0 +1,177 @@
+// test/verify.js
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { startMockExplorer } = require("../scripts/mock/mockExplorer");
+const { recordDeployment } = require("../scripts/utils/deployments");
+const { verifyDeployments } = require("../scripts/erc4626/erc4626Verify");
+
+const { ethers, upgrades } = hre;
+const notOk = (result) => ({ status: "0", message: "NOTOK", result });
+
+// The hardhat network's explorer entry points at MOCK_EXPLORER_PORT; the mock has to listen there
+function explorerPort() {
+  const chain = hre.config.etherscan.customChains.find((entry) => entry.network === "hardhat");
+  return Number(new URL(chain.urls.apiURL).port);
+}
+
+const actions = (explorer) => explorer.state.requests.map((request) => request.params.action);
+
+describe("verification against the mock explorer", function () {
+  this.timeout(120000);
+  let deploymentsDir;
+  let explorer;
+
+  const startExplorer = async (options = {}) => {
+    explorer = await startMockExplorer({ port: explorerPort(), pendingPolls: 0, ...options });
+    return explorer;
+  };
+
+  before(async function () {
+    deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+    process.env.DEPLOYMENTS_DIR = deploymentsDir;
+    await hre.run("compile", { quiet: true });
+  });
+
+  after(function () {
+    delete process.env.DEPLOYMENTS_DIR;
+    fs.rmSync(deploymentsDir, { recursive: true, force: true });
+  });
+
+  afterEach(async function () {
+    if (explorer) {
+      await explorer.stop();
+      explorer = null;
+    }
+  });
+
+  describe("verify-upgradeable", function () {
+    let registry;
+
+    // A fresh proxy per test, so nothing is verified on the fresh explorer yet
+    beforeEach(async function () {
+      const Factory = await ethers.getContractFactory("ProtocolRegistry");
+      registry = await upgrades.deployProxy(Factory, [], { kind: "transparent", initializer: "initialize" });
+      await recordDeployment(hre, "ProtocolRegistry", registry, { proxyKind: "transparent" });
+    });
+
+    const verifyUpgradeable = () => hre.run("verify-upgradeable", { pollTimeout: 5, pollInterval: 0.01 });
+
+    it("verifies the implementation, ProxyAdmin and proxy and links the proxy", async function () {
+      await startExplorer({ pendingPolls: 1 });
+      await verifyUpgradeable();
+
+      const implementation = await upgrades.erc1967.getImplementationAddress(registry.address);
+      const admin = await upgrades.erc1967.getAdminAddress(registry.address);
+      const verified = explorer.state.contracts;
+      assert.strictEqual(verified[implementation.toLowerCase()].ContractName, "contracts/core/ProtocolRegistry.sol:ProtocolRegistry");
+      assert.match(verified[admin.toLowerCase()].ContractName, /:ProxyAdmin$/);
+      assert.match(verified[registry.address.toLowerCase()].ContractName, /:TransparentUpgradeableProxy$/);
+      assert.strictEqual(explorer.state.proxies[registry.address.toLowerCase()], implementation);
+
+      const sent = actions(explorer);
+      for (const action of ["getsourcecode", "verifysourcecode", "checkverifystatus", "verifyproxycontract", "checkproxyverification"]) {
+        assert(sent.includes(action), `${action} was not called`);
+      }
+      // One pending answer per submission before the verdict
+      assert.strictEqual(sent.filter((action) => action === "checkverifystatus").length, 2 * sent.filter((action) => action === "verifysourcecode").length);
+    });
+
+    it("skips contracts getsourcecode reports as verified", async function () {
+      await startExplorer();
+      await verifyUpgradeable();
+      const submissions = actions(explorer).filter((action) => action === "verifysourcecode").length;
+
+      await verifyUpgradeable();
+      assert.strictEqual(actions(explorer).filter((action) => action === "verifysourcecode").length, submissions);
+    });
+
+    it("still submits when getsourcecode answers with an error", async function () {
+      await startExplorer({ responses: { getsourcecode: notOk("Missing/Invalid API Key") } });
+      await verifyUpgradeable();
+      assert.strictEqual(actions(explorer).filter((action) => action === "verifysourcecode").length, 3);
+    });
+
+    it("fails when verifysourcecode rejects the submission", async function () {
+      await startExplorer({ responses: { verifysourcecode: notOk("Invalid constructor arguments provided") } });
+      await assert.rejects(verifyUpgradeable(), /Verification failed for: ProtocolRegistry, ProxyAdmin .*, ProtocolRegistry proxy$/);
+      assert(!actions(explorer).includes("checkverifystatus"));
+    });
+
+    it("fails when checkverifystatus reports a failed verification", async function () {
+      await startExplorer({ outcome: "fail" });
+      await assert.rejects(verifyUpgradeable(), /Verification failed for: ProtocolRegistry, ProxyAdmin .*, ProtocolRegistry proxy$/);
+      assert.deepStrictEqual(explorer.state.contracts, {});
+    });
+
+    it("fails when verifyproxycontract rejects the link request", async function () {
+      await startExplorer({ responses: { verifyproxycontract: notOk("Invalid address") } });
+      await assert.rejects(verifyUpgradeable(), /Verification failed for: ProtocolRegistry proxy link$/);
+      assert(!actions(explorer).includes("checkproxyverification"));
+    });
+
+    it("fails when checkproxyverification reports a failed link", async function () {
+      await startExplorer({ proxyOutcome: "fail" });
+      await assert.rejects(verifyUpgradeable(), /Verification failed for: ProtocolRegistry proxy link$/);
+      assert.deepStrictEqual(explorer.state.proxies, {});
+    });
+
+    it("reports a proxy link the explorer errors on and finishes the run", async function () {
+      await startExplorer({ responses: { verifyproxycontract: () => { throw new Error("Internal Server Error"); } } });
+      await assert.rejects(verifyUpgradeable(), /Verification failed for: ProtocolRegistry proxy link$/);
+      assert.strictEqual(Object.keys(explorer.state.contracts).length, 3);
+    });
+  });
+
+  describe("erc4626 verify", function () {
+    // Plain deployments like erc4626Deploy.js records them
+    beforeEach(async function () {
+      for (const name of ["ProtocolRegistry", "VirtualVault"]) {
+        const contract = await (await ethers.getContractFactory(name)).deploy();
+        await recordDeployment(hre, name, contract, { args: [] });
+      }
+    });
+
+    it("verifies every recorded contract", async function () {
+      await startExplorer({ pendingPolls: 0 });
+      const failed = await verifyDeployments(hre, ["ProtocolRegistry", "VirtualVault"]);
+
+      assert.deepStrictEqual(failed, []);
+      assert.deepStrictEqual(
+        Object.values(explorer.state.contracts).map((entry) => entry.ContractName).sort(),
+        ["contracts/core/ProtocolRegistry.sol:ProtocolRegistry", "contracts/core/VirtualVault.sol:VirtualVault"]
+      );
+    });
+
+    it("reports a contract whose verification fails and carries on", async function () {
+      await startExplorer({
+        pendingPolls: 0,
+        responses: { verifysourcecode: (params) => (
+          params.contractname.endsWith(":ProtocolRegistry") ? notOk("Invalid constructor arguments provided") : undefined
+        ) }
+      });
+      const failed = await verifyDeployments(hre, ["ProtocolRegistry", "VirtualVault"]);
+
+      assert.deepStrictEqual(failed, ["ProtocolRegistry"]);
+      assert.deepStrictEqual(Object.values(explorer.state.contracts).map((entry) => entry.ContractName), ["contracts/core/VirtualVault.sol:VirtualVault"]);
+    });
+
+    it("reports a failed verdict from checkverifystatus", async function () {
+      await startExplorer({ pendingPolls: 0, outcome: "fail" });
+      const failed = await verifyDeployments(hre, ["ProtocolRegistry"]);
+
+      assert.deepStrictEqual(failed, ["ProtocolRegistry"]);
+      assert(actions(explorer).includes("checkverifystatus"));
+    });
+
+    it("treats a contract getsourcecode reports as verified as done", async function () {
+      await startExplorer({ responses: { getsourcecode: () => ({ status: "1", message: "OK", result: [{ SourceCode: "contract ProtocolRegistry {}" }] }) } });
+      const failed = await verifyDeployments(hre, ["ProtocolRegistry"]);
+
+      assert.deepStrictEqual(failed, []);
+      assert(!actions(explorer).includes("verifysourcecode"));
+    });
+  });
+});
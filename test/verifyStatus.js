@@ -0,0 +1,136 @@
+// test/verifyStatus.js
+const assert = require("assert");
+const axios = require("axios");
+const { startMockExplorer } = require("../scripts/mock/mockExplorer");
+const { VerifyState, classifyVerifyStatus, pollVerifyStatus } = require("../scripts/utils/verifyStatus");
+
+// Short backoff: 10ms doubling up to 80ms, giving up after 300ms
+const POLLING = { initialDelayMs: 10, factor: 2, maxDelayMs: 80, timeoutMs: 300 };
+
+// A clock that only moves when pollVerifyStatus sleeps, so delays and the timeout are exact
+function fakeClock() {
+  const clock = { time: 0, delays: [] };
+  clock.now = () => clock.time;
+  clock.sleep = async (ms) => {
+    clock.delays.push(ms);
+    clock.time += ms;
+  };
+  return clock;
+}
+
+describe("verifyStatus", function () {
+  describe("classifyVerifyStatus", function () {
+    const cases = [
+      [{ status: "0", message: "NOTOK", result: "Pending in queue" }, VerifyState.PENDING],
+      [{ status: "0", message: "NOTOK", result: "In progress" }, VerifyState.PENDING],
+      [{ status: "1", message: "OK", result: "Pass - Verified" }, VerifyState.PASS],
+      [{ status: "1", message: "OK", result: "The proxy's (0x1) implementation contract is found at 0x2 and is successfully updated." }, VerifyState.PASS],
+      [{ status: "0", message: "NOTOK", result: "Fail - Unable to verify" }, VerifyState.FAIL],
+      [{ status: "0", message: "NOTOK", result: "Already Verified" }, VerifyState.ALREADY_VERIFIED],
+      [{ status: "0", message: "NOTOK", result: "Contract source code already verified" }, VerifyState.ALREADY_VERIFIED],
+      [{ status: "0", message: "NOTOK", result: "Max rate limit reached" }, VerifyState.RATE_LIMITED],
+      [{ status: "0", message: "NOTOK", result: "Unknown UID" }, VerifyState.FAIL]
+    ];
+    for (const [response, state] of cases) {
+      it(`classifies "${response.result}" as ${state}`, function () {
+        assert.strictEqual(classifyVerifyStatus(response), state);
+      });
+    }
+  });
+
+  describe("pollVerifyStatus", function () {
+    let explorer;
+    let clock;
+
+    // Submit a verification to get a GUID to poll
+    const submit = async () => {
+      const response = await axios.post(
+        explorer.apiURL,
+        new URLSearchParams({ module: "contract", action: "verifysourcecode", contractaddress: "0x0000000000000000000000000000000000000001", sourceCode: "{}", contractname: "A.sol:A", compilerversion: "v0.8.20" })
+      );
+      return response.data.result;
+    };
+    const poll = async (options = {}) => pollVerifyStatus(explorer, await submit(), { ...POLLING, sleep: clock.sleep, now: clock.now, ...options });
+    const polls = () => explorer.state.requests.filter((request) => request.params.action === "checkverifystatus").length;
+
+    beforeEach(function () {
+      clock = fakeClock();
+    });
+
+    afterEach(async function () {
+      await explorer.stop();
+    });
+
+    it("keeps polling while pending and returns the pass", async function () {
+      explorer = await startMockExplorer({ pendingPolls: 2 });
+      const outcome = await poll();
+
+      assert.strictEqual(outcome.state, VerifyState.PASS);
+      assert.strictEqual(outcome.result, "Pass - Verified");
+      assert.strictEqual(outcome.timedOut, false);
+      assert.strictEqual(outcome.attempts, 3);
+      assert.strictEqual(polls(), 3);
+      assert.deepStrictEqual(clock.delays, [10, 20, 40]);
+    });
+
+    it("returns a failed verification as soon as it arrives", async function () {
+      explorer = await startMockExplorer({ pendingPolls: 1, outcome: "fail" });
+      const outcome = await poll();
+
+      assert.strictEqual(outcome.state, VerifyState.FAIL);
+      assert.strictEqual(outcome.result, "Fail - Unable to verify");
+      assert.strictEqual(outcome.timedOut, false);
+      assert.strictEqual(polls(), 2);
+      assert.deepStrictEqual(clock.delays, [10, 20]);
+    });
+
+    it("treats already verified as final", async function () {
+      explorer = await startMockExplorer({ responses: { checkverifystatus: { status: "0", message: "NOTOK", result: "Already Verified" } } });
+      const outcome = await poll();
+
+      assert.strictEqual(outcome.state, VerifyState.ALREADY_VERIFIED);
+      assert.strictEqual(outcome.timedOut, false);
+      assert.strictEqual(polls(), 1);
+      assert.deepStrictEqual(clock.delays, [10]);
+    });
+
+    it("backs off on rate-limit answers and carries on polling", async function () {
+      // Requests: 1 submit, 2 rate limited, 3 pending, 4 rate limited, 5 pass
+      explorer = await startMockExplorer({ pendingPolls: 1, rateLimitEvery: 2 });
+      const outcome = await poll();
+
+      assert.strictEqual(outcome.state, VerifyState.PASS);
+      assert.strictEqual(outcome.attempts, 4);
+      assert.deepStrictEqual(
+        explorer.state.requests.slice(1).map((request) => request.params.action),
+        ["checkverifystatus", "checkverifystatus", "checkverifystatus", "checkverifystatus"]
+      );
+      // The backoff keeps doubling through rate limits and stops at maxDelayMs
+      assert.deepStrictEqual(clock.delays, [10, 20, 40, 80]);
+    });
+
+    it("gives up once the next delay would pass the timeout", async function () {
+      explorer = await startMockExplorer({ pendingPolls: 100 });
+      const outcome = await poll();
+
+      // 10 + 20 + 40 + 80 + 80 = 230ms; another 80ms would pass 300ms
+      assert.strictEqual(outcome.timedOut, true);
+      assert.strictEqual(outcome.state, VerifyState.PENDING);
+      assert.strictEqual(outcome.result, "Pending in queue");
+      assert.strictEqual(outcome.attempts, 5);
+      assert.strictEqual(polls(), 5);
+      assert.deepStrictEqual(clock.delays, [10, 20, 40, 80, 80]);
+      assert(clock.time <= POLLING.timeoutMs);
+    });
+
+    it("times out on the real clock with a short timeout", async function () {
+      explorer = await startMockExplorer({ pendingPolls: 100 });
+      const startedAt = Date.now();
+      const outcome = await poll({ sleep: undefined, now: undefined, timeoutMs: 100 });
+
+      assert.strictEqual(outcome.timedOut, true);
+      assert(outcome.attempts >= 1 && outcome.attempts <= 3, `${outcome.attempts} polls`);
+      assert(Date.now() - startedAt < 1000);
+    });
+  });
+});